@@ -1,736 +1,732 @@
 /*
  * This file is part of jsBoard, the JavaScript Aircraft Boarding Simulator
  *
+ * The page itself: reads the form, drives the engine in engine.js and draws the results
+ *
  * Licensed under the AGPLv3 - see the LICENSE file for details
  */
 
-/** Constants used for rendering or setting up the simulation **/
-const AIRCRAFT_WALL_HEIGHT = 15;
-const AIRCRAFT_PADDING = 10;
-const CELLSIZE = 64;
-
-const SEAT_LAYOUT_PRESETS = {
-    'a321': [
-        {
-            repeat: 5,
-            layout: ' SSASS ',
-        },
-        {
-            repeat: 3,
-            layout: 'SSSASSS',
-        },
-        {
-            repeat: 1,
-            layout: 'SS+ASSS',
-        },
-        {
-            repeat: 11,
-            layout: 'SSSASSS',
-        },
-        {
-            repeat: 1,
-            layout: 'SSSA+++',
-        },
-        {
-            repeat: 1,
-            layout: '+++ASS+',
-        },
-        {
-            repeat: 13,
-            layout: 'SSSASSS',
-        },
-    ],
-    'b757300': [
-        {
-            repeat: 6,
-            layout: ' SSASS ',
-        },
-        {
-            repeat: 1,
-            layout: '+SSA+++',
-        },
-        {
-            repeat: 14,
-            layout: 'SSSASSS',
-        },
-        {
-            repeat: 1,
-            layout: '+SSASS+',
-        },
-        {
-            repeat: 21,
-            layout: 'SSSASSS',
-        },
-    ],
-    'crj700': [
-        {
-            repeat: 3,
-            layout: 'SSAS ',
-        },
-        {
-            repeat: 15,
-            layout: 'SSASS',
-        },
-    ],
+// The scale and offset we last used to fit an aircraft on the simulation canvas, so
+// we can work out which cell was clicked
+let aircraftTransform = {
+    scale: 1,
+    x: 0,
+    y: 0,
+};
+
+/**
+ * Scale the canvas so we can see the whole aircraft at once
+ * @param ctx a 2d canvas context
+ * @param{Aircraft} aircraft The aircraft we want to fit on the canvas
+ */
+function fitAircraftToCanvas(ctx, aircraft) {
+    const canvas = ctx.canvas;
+    const scaleFactor = Math.min(Math.min(canvas.width / aircraft.width, canvas.height / aircraft.height) * 0.95, 1.0);
+    ctx.scale(scaleFactor, scaleFactor);
+    const deltaX = canvas.width / 2 - aircraft.width / 2 * scaleFactor;
+    const deltaY = canvas.height / 2 - aircraft.height / 2 * scaleFactor;
+    ctx.translate(deltaX, deltaY);
+    aircraftTransform = {
+        scale: scaleFactor,
+        x: deltaX,
+        y: deltaY,
+    };
 }
 
+// The lines on the progress chart: what each one counts (see Simulation.progress) and its color
+const PROGRESS_BOARDING_LINES = [
+    {measure: 'seated', label: 'Seated', color: 'rgba(242, 129, 29, 1.0)'},
+    {measure: 'inAisle', label: 'In the aisle', color: 'rgba(90, 140, 200, 1.0)'},
+    {measure: 'stowing', label: 'Stowing bags', color: 'rgba(200, 70, 60, 1.0)'},
+    {measure: 'waiting', label: 'Waiting to board', color: 'rgba(120, 120, 120, 1.0)'},
+];
+const PROGRESS_DEPLANING_LINES = [
+    {measure: 'seated', label: 'Seated', color: 'rgba(242, 129, 29, 1.0)'},
+    {measure: 'inAisle', label: 'In the aisle', color: 'rgba(90, 140, 200, 1.0)'},
+    {measure: 'stowing', label: 'Getting bags down', color: 'rgba(200, 70, 60, 1.0)'},
+    {measure: 'deplaned', label: 'Off the aircraft', color: 'rgba(120, 120, 120, 1.0)'},
+];
+// The colors of the finished runs on the progress chart, which is also how many of them we keep
+const PROGRESS_OVERLAY_COLORS = [
+    'rgba(60, 160, 90, 1.0)',
+    'rgba(150, 80, 170, 1.0)',
+    'rgba(40, 170, 180, 1.0)',
+    'rgba(190, 150, 30, 1.0)',
+    'rgba(220, 100, 160, 1.0)',
+];
 
-/** We use a few datatypes to make the actual simulation code a little bit neater **/
+// The zone scheme the zone editor starts with: three zones from the back of the
+// aircraft to the front, after anybody who needs a little extra time
+const DEFAULT_ZONE_SCHEME = {
+    name: 'Three zones',
+    preBoarding: ['elderly', 'children'],
+    zones: [
+        {seats: '21-99', order: 'random'},
+        {seats: '11-20', order: 'random'},
+        {seats: '1-10', order: 'random'},
+    ],
+};
+
+// Where we keep the zone schemes the user has saved
+const ZONE_SCHEME_STORAGE_KEY = 'jsboard.zoneSchemes';
 
 /**
- * A division of a simulation grid that knows where it is, what's in it, and what its neighbors are
+ * Format a seat layout as JSON with one row spec per line so it's easy to edit by hand
+ * @param{Array} seatLayout A list of row specs
+ * @return{String} The JSON text
  */
-class Cell {
-    /**
-     * @param{Number} x The x coordinate of this grid cell
-     * @param{Number} y The y coordinate of this grid cell
-     */
-    constructor(x, y) {
-        this.x = x;
-        this.y = y;
-        this.contents = new Set();
-        this.up = null;
-        this.down = null;
-        this.left = null;
-        this.right = null;
-    }
+function formatSeatLayout(seatLayout) {
+    return '[\n' + seatLayout.map(rowSpec => '    ' + JSON.stringify(rowSpec)).join(',\n') + '\n]';
+}
 
-    /**
-     * Check to see whether or not this cell contains anything
-     * @return {Boolean} true if there's nothing in the cell and false if it contains something
-     */
-    isEmpty() {
-        return this.contents.size === 0;
+/**
+ * Read the custom seat layout the user typed in
+ * @return{Array} A list of row specs, which may not be valid (see validateSeatLayout)
+ */
+function parseCustomSeatLayout() {
+    try {
+        return JSON.parse(document.getElementById('custom_layout').value);
+    } catch (err) {
+        throw 'The custom seat layout isn\'t valid JSON: ' + err.message;
     }
+}
 
-    /**
-     * Render this cell and its contents to the given 2d canvas context
-     * @param ctx a 2d canvas context
-     */
-    render(ctx) {
-        ctx.fillStyle = 'rgba(220, 220, 220, 1.0)';
-        ctx.fillRect(this.x, this.y, CELLSIZE, CELLSIZE);
-        this.renderContents(ctx);
+/**
+ * Get the desired seat layout from the user
+ * @return{Array} A list of row specs describing the seat layout
+ */
+function getSeatLayoutFromForm() {
+    const presetValue = document.getElementById('layout_preset').value;
+    let seatLayout = SEAT_LAYOUT_PRESETS[presetValue];
+    if (presetValue === 'coords') {
+        const rows = document.getElementById('rows').value * 1;
+        const cols = document.getElementById('cols').value * 1;
+        // Build a seat layout from the row/column counts
+        seatLayout = [{
+            repeat: rows,
+            layout: 'S'.repeat(cols) + 'A' + 'S'.repeat(cols),
+        }];
+    } else if (presetValue === 'custom') {
+        seatLayout = parseCustomSeatLayout();
     }
-
-    /**
-     * Render the contents of this cell given 2d canvas context
-     * @param ctx a 2d canvas context
-     */
-    renderContents(ctx) {
-        for (const c of this.contents) {
-            c.render(ctx, this.x, this.y);
+    if (presetValue === 'coords' || presetValue === 'custom') {
+        const errors = validateSeatLayout(seatLayout);
+        if (errors.length > 0) {
+            throw errors.join('<br>');
         }
     }
+    return seatLayout;
+}
 
-    /**
-     * Create a string representation of this grid cell
-     */
-    toString() {
-        return `${this.x}, ${this.y}: ` + Array.from(this.contents).join();
+/**
+ * Get the random seed the user wants to use
+ * @return{Number|undefined} The seed, or undefined if the user left it blank so we should pick one
+ */
+function getSeedFromForm() {
+    const value = document.getElementById('seed').value.trim();
+    if (value === '') {
+        return undefined;
     }
+    return value * 1;
 }
 
 /**
- * Some object that can be rendered to a canvas
+ * Build a bag-stowing time distribution from the distribution and parameters the user picked
+ * @return{Function} The distribution (see createLuggageDistribution)
  */
-class Renderable {
-    constructor(color) {
-        if (color === undefined) {
-            const r = Math.floor(Math.random() * 256);
-            const g = Math.floor(Math.random() * 256);
-            const b = Math.floor(Math.random() * 256);
-            this.color = `rgba(${r}, ${g}, ${b}, 0.6)`;
-        } else {
-            this.color = color;
-        }
-    }
-    /**
-     * Render this object to the given 2d rendering context at the given x, y position
-     * @param ctx The 2d context to use
-     * @param{Number} x The x-coordinate to render at
-     * @param{Number} y The y-coordinate to render at
-     */
-    render(ctx, x, y) {
-        ctx.fillStyle = this.color;
-        ctx.fillRect(x + CELLSIZE/4, y + CELLSIZE/4, CELLSIZE/2, CELLSIZE/2);
+function getLuggageDistributionFromForm() {
+    const name = document.getElementById('luggage_distribution').value;
+    const params = {};
+    for (const p of LUGGAGE_DISTRIBUTIONS[name].params) {
+        params[p.name] = document.getElementById(`luggage_param_${p.name}`).value;
     }
+    return createLuggageDistribution(name, params);
 }
 
 /**
- * A renderable object that makes some decision about what to do on each step of the simulation
+ * Build a carry-on bag policy from the policy and parameters the user picked
+ * @return{Function|undefined} The policy (see createBagPolicy), or undefined if there are no restrictions
  */
-class Agent extends Renderable {
-    constructor(startingCell, color) {
-        super(color);
-        this.cell = startingCell;
-        if (startingCell) {
-            startingCell.contents.add(this);
-        }
-        this.state = null;
-        this.timeToTransition = 0;
-    }
-
-    /**
-     * Re-initialize this agent on the given cell in the given state
-     * @param{Cell} cell The cell to start on
-     * @param{String} state The new state to start in
-     */
-    initializeAt(cell, state) {
-        this.cell = cell;
-        this.cell.contents.add(this);
-        this.state = state;
-    }
-
-    /**
-     * Move this agent from its current cell to a new one, updating the contents of both cells involved
-     * @param{Cell} newCell The cell to move to
-     */
-    move(newCell) {
-        // Move to a new cell
-        this.cell.contents.delete(this);
-        this.cell = newCell;
-        newCell.contents.add(this);
-    }
-
-    /**
-     * Perform whatever logic this agent implements during each simulation tick
-     * @param{Number} deltaT The amount of time that's passed since the last simulation tick
-     */
-    simulate(deltaT) {
-        // By default an agent does nothing
-        return;
+function getBagPolicyFromForm() {
+    const name = document.getElementById('bag_policy').value;
+    if (name === 'none') {
+        return undefined;
     }
+    const params = {};
+    for (const p of BAG_POLICIES[name].params) {
+        params[p.name] = document.getElementById(`bag_policy_param_${p.name}`).value;
+    }
+    return createBagPolicy(name, params);
 }
 
 /**
- * A special type of simulation cell that passengers can sit in
+ * Get the mix of passenger profiles the user wants on the flight
+ * @return{Object} The share (in percent) of each profile in PASSENGER_PROFILES, keyed by profile name
  */
-class Seat extends Cell {
-    constructor(x, y, row, col) {
-        super(x, y);
-        this.row = row;
-        this.col = col;
-        this.colorA = 'rgba(242, 129, 29, 1.0)';
-        this.colorB = 'rgba(242, 169, 34, 1.0)';
-    }
-    render(ctx) {
-        // Draw the base of the seat
-        ctx.fillStyle = this.colorB;
-        ctx.fillRect(this.x + 2, this.y + 6, CELLSIZE-12, CELLSIZE-12);
-        // Draw the other parts
-        ctx.fillStyle = this.colorA;
-        // Armrests
-        ctx.fillRect(this.x + 7, this.y+1, CELLSIZE - 18, 10);
-        ctx.fillRect(this.x + 7, this.y+CELLSIZE-11, CELLSIZE - 18, 10);
-        // Backrest
-        ctx.fillRect(this.x + CELLSIZE - 10, this.y + 3, 9, CELLSIZE - 6);
-        // Label the seat
-        const fontSize = CELLSIZE / 3;
-        const fontYPos = this.y + CELLSIZE  - fontSize * 1.1;
-        ctx.fillStyle = 'rgba(255, 255, 255, 0.9)';
-        ctx.font = `${fontSize}px sans-serif`;
-        ctx.fillText(this.row + this.col, this.x + 6, fontYPos);
-        this.renderContents(ctx);
+function getPopulationFromForm() {
+    const population = {};
+    for (const name of Object.keys(PASSENGER_PROFILES)) {
+        const share = document.getElementById(`profile_share_${name}`).value * 1;
+        if (isNaN(share) || share < 0) {
+            throw `The share of ${PASSENGER_PROFILES[name].label} passengers needs to be a number of at least zero`;
+        }
+        population[name] = share;
     }
-    toString() {
-        return this.row + this.col;
+    if (!Object.values(population).some(share => share > 0)) {
+        throw 'The passenger mix needs at least one kind of passenger with a share above zero';
     }
+    return population;
 }
 
-const State = Object.freeze({
-    Seated: 'seated',
-    Searching: 'searching',
-    LoadingUp: 'loading_up',
-    LoadingDown: 'loading_down',
-});
+/**
+ * Read a percentage from the form
+ * @param{String} id The id of the input
+ * @param{String} what What it's a percentage of, to say in error messages
+ * @return{Number} The percentage as a fraction (0-1)
+ */
+function readPercentage(id, what) {
+    const share = document.getElementById(id).value * 1;
+    if (isNaN(share) || share < 0 || share > 100) {
+        throw `The ${what} needs to be a percentage between 0 and 100`;
+    }
+    return share / 100;
+}
 
+/**
+ * Get how full the flight is
+ * @return{Number} The fraction (0-1) of seats with a passenger in them
+ */
+function getLoadFactorFromForm() {
+    const share = readPercentage('load_factor', 'load factor');
+    if (share === 0) {
+        throw 'The load factor needs to be above 0%';
+    }
+    return share;
+}
 
-class Passenger extends Agent {
-    constructor(cell, targetSeat, luggageDistribution, color) {
-        super(cell, color);
-        this.targetSeat = targetSeat;
-        this.luggageDistribution = luggageDistribution;
+/**
+ * Get how many passengers don't board when they're supposed to
+ * @return{Object|undefined} The fraction (0-1) of passengers who board outOfOrder, arrive
+ * late or are a noShow (see applyCompliance), or undefined if everybody does as they're told
+ */
+function getComplianceFromForm() {
+    const fields = {
+        outOfOrder: ['out_of_order_share', 'boarding out of order'],
+        late: ['late_share', 'arriving late'],
+        noShow: ['no_show_share', 'who don\'t show up'],
+    };
+    const compliance = {};
+    for (const name of Object.keys(fields)) {
+        const [id, what] = fields[name];
+        compliance[name] = readPercentage(id, `share of passengers ${what}`);
     }
-    simulate(deltaT) {
-        // We can model the behavior of passengers surprisingly accurately with just a little state machine
-        if (this.state === State.Seated || this.state === null) {
-            // If we're already in our seat or not in the simulation, don't do anything
-            return;
-        } else if (this.state === State.Searching) {
-            // If we're looking for our seat then check to see if it's next to us,
-            // if it's not then move to the next cell
-            if (this.cell.up && this.cell.up.row === this.targetSeat.row && this.cell.up.col >= this.targetSeat.col) {
-                this.state = State.LoadingUp;
-                this.timeToTransition = this.luggageDistribution();
-            } else if (this.cell.down && this.cell.down.row === this.targetSeat.row && this.cell.down.col <= this.targetSeat.col) {
-                this.state = State.LoadingDown;
-                this.timeToTransition = this.luggageDistribution();
-            } else {
-                // Move to the right
-                if (this.cell.right) {
-                    if (!this.cell.right.isEmpty()) {
-                    } else {
-                        this.move(this.cell.right);
-                    }
-                } else {
-                    console.error('Passenger failed to find seat: ' + this.targetSeat.row + this.targetSeat.col);
-                }
-            }
-        } else if (this.state === State.LoadingUp) {
-            this.timeToTransition -= deltaT;
-            if (this.timeToTransition <= 0) {
-                this.move(this.cell.up);
-                if (this.cell === this.targetSeat) {
-                    this.state = State.Seated;
-                }
-            }
-        } else if (this.state === State.LoadingDown) {
-            this.timeToTransition -= deltaT;
-            if (this.timeToTransition <= 0) {
-                this.move(this.cell.down);
-                if (this.cell === this.targetSeat) {
-                    this.state = State.Seated;
-                }
-            }
-        } else {
-            console.error('Unhandled state: ' + this.state);
-        }
+    if (compliance.outOfOrder + compliance.late + compliance.noShow > 1) {
+        throw 'The shares of passengers boarding out of order, arriving late and not showing up can\'t add up to more than 100%';
     }
-    toString() {
-        return this.targetSeat.toString() + ' [' + this.state + ']';
+    if (!Object.values(compliance).some(share => share > 0)) {
+        return undefined;
     }
+    return compliance;
 }
 
 /**
- * The thing we're trying to load up with passengers - keeps track of the simulation
- * grid and gets passengers started on their simulated trip to their seats
+ * Get the physical parameters of the simulated clock
+ * @return{Object} The secondsPerTick, cellLength and walkingSpeed of the run (see Simulation)
  */
-class Aircraft {
-    constructor(startingCell) {
-        this.grid = [];
-        this.startingCell = startingCell;
-        this.addCell(startingCell);
-        this.seats = [];
-        // We cache the bounding box of the grid to make rendering faster later
-        this.x = 0;
-        this.y = 0;
-        this.width = 0;
-        this.height = 0;
-        // Keep track of which rows and columns are present
-        this.rows = new Set();
-        this.cols = new Set();
-    }
-
-    /**
-     * Add a cell to the simulation grid
-     * @param{Cell} newCell The cell to add to the grid
-     */
-    addCell(newCell) {
-        this.grid.push(newCell);
-        if (newCell.row) {
-            this.rows.add(newCell.row);
-        }
-        if (newCell.col) {
-            this.cols.add(newCell.col);
+function getClockFromForm() {
+    const fields = {
+        secondsPerTick: ['seconds_per_tick', 'time per tick'],
+        cellLength: ['cell_length', 'cell length'],
+        walkingSpeed: ['walking_speed', 'walking speed'],
+    };
+    const clock = {};
+    for (const name of Object.keys(fields)) {
+        const [id, what] = fields[name];
+        const value = document.getElementById(id).value * 1;
+        if (isNaN(value) || value <= 0) {
+            throw `The ${what} needs to be a number above zero`;
         }
-        this.updateBoundingBox();
+        clock[name] = value;
     }
-
-    get rowCount() {
-        return this.rows.size;
+    if (clock.walkingSpeed * clock.secondsPerTick > clock.cellLength) {
+        throw 'Passengers can walk at most one cell per tick; use a shorter tick, longer cells or a lower walking speed';
     }
+    return clock;
+}
 
-    get colCount() {
-        return this.cols.size;
+/**
+ * Get the boarding method the user picked
+ * @return{String|Function} The id of the strategy in BOARDING_STRATEGIES, or an arrange
+ * function for the zone scheme in the zone editor
+ */
+function getMethodFromForm() {
+    const method = document.querySelector('input[name="method"]:checked').value;
+    if (method === 'zones') {
+        return createZoneArrangement(getZoneSchemeFromForm());
     }
+    return method;
+}
 
-    /**
-     * Add a seat to the simulation grid - we track these separately from other cells since it makes it easier to look them up and count them
-     * @param{Seat} newSeat The seat to add to the grid
-     */
-    addSeat(newSeat) {
-        this.seats.push(newSeat);
+/**
+ * Get the parameters the user gave each boarding strategy that takes any
+ * @return{Object} The value of each parameter, keyed by strategy id and then by parameter name
+ */
+function getStrategyParamsFromForm() {
+    const params = {};
+    for (const strategy of Object.values(BOARDING_STRATEGIES)) {
+        const values = {};
+        for (const p of strategy.params) {
+            values[p.name] = document.getElementById(`strategy_param_${strategy.id}_${p.name}`).value;
+        }
+        params[strategy.id] = readParams(strategy.params, values, `${strategy.name} boarding`);
     }
+    return params;
+}
 
-    /**
-     * Put a passenger on the plane so they can start looking for their seat
-     * @param{Passenger} passenger A new passenger starting their adventure
-     */
-    board(passenger) {
-        if (this.startingCell.isEmpty()) {
-            passenger.initializeAt(this.startingCell, State.Searching);
-        } else {
-            throw 'Cannot board passenger ' + passenger + '; starting cell is full!';
-        }
+/**
+ * Gather up the parameters that every kind of run shares from the form
+ * @return{Object|null} The options for a Simulation, or null if something in the
+ * form isn't valid - in which case we say what in the status line
+ */
+function getSimulationOptionsFromForm() {
+    try {
+        return Object.assign({
+            method: getMethodFromForm(),
+            strategyParams: getStrategyParamsFromForm(),
+            seatLayout: getSeatLayoutFromForm(),
+            seed: getSeedFromForm(),
+            luggageDistribution: getLuggageDistributionFromForm(),
+            population: getPopulationFromForm(),
+            loadFactor: getLoadFactorFromForm(),
+            seatSelection: document.getElementById('seat_selection').value,
+            partyShare: readPercentage('party_share', 'share of passengers travelling in parties'),
+            doorRule: document.getElementById('door_rule').value,
+            mode: document.getElementById('mode').value,
+            deplaningPolicy: document.getElementById('deplaning_policy').value,
+            connectionShare: readPercentage('connection_share', 'share of passengers with tight connections'),
+            bagPolicy: getBagPolicyFromForm(),
+            compliance: getComplianceFromForm(),
+        }, getClockFromForm());
+    } catch (err) {
+        setStatus(err);
+        return null;
     }
+}
 
-    /**
-     * Search the seat list for a seat matching the given ID (e.g. "25H" or "12F")
-     * @param{String} seatId The identifier of the seat we want to find
-     * @return{Seat|null} The seat if we could find it or null if we couldn't
-     */
-    findSeat(seatId) {
-        const match = seatId.match(/([0-9]+)([A-Z]+)/);
-        if (!match) {
-            return null;
-        }
-        const targetRow = match[1];
-        const targetCol = match[2];
-        for (const seat of this.seats) {
-            if (seat.row == targetRow && seat.col == targetCol) {
-                return seat;
-            }
-        }
+/**
+ * Get the number of times the user wants to run each batch
+ * @return{Number|null} The number of runs, or null if it isn't a whole number of at
+ * least 1 - in which case we say so in the status line
+ */
+function getRunCountFromForm() {
+    const runs = document.getElementById('batch_runs').value * 1;
+    if (!Number.isInteger(runs) || runs < 1) {
+        setStatus('The number of runs needs to be a whole number of at least 1');
         return null;
     }
+    return runs;
+}
 
-    /**
-     * Re-compute the bounding box for the aircraft
-     */
-    updateBoundingBox() {
-        let x1 = 0;
-        let y1 = 0;
-        let x2 = 0;
-        let y2 = 0;
-        for (const cell of this.grid) {
-            if (cell.x < x1) {
-                x1 = cell.x;
-            } else if (cell.x > x2) {
-                x2 = cell.x;
-            }
-            if (cell.y < y1) {
-                y1 = cell.y;
-            } else if (cell.y > y2) {
-                y2 = cell.y;
-            }
-        }
-        this.x = x1;
-        this.y = y1;
-
-        this.height = y2 - this.y + CELLSIZE;
-        this.width = x2 - this.x + CELLSIZE;
-
-        this.tailLength = this.height * 1.5;
-        this.fuselageLength = this.width;
-        this.noseLength = this.height * 1.5;
-
-        this.top = this.y - (AIRCRAFT_PADDING + AIRCRAFT_WALL_HEIGHT);
-        this.left = this.x - this.noseLength;
-        this.bottom = this.top + this.height + 2 * AIRCRAFT_PADDING + 2 * AIRCRAFT_WALL_HEIGHT;
-        this.right = this.left + this.noseLength + this.fuselageLength + this.tailLength;
-    }
-
-    /**
-     * Render the aircraft to the canvas
-     * @param{Aircraft} The aircraft to render
-     */
-    render(ctx) {
-        const tailStart = this.x + this.fuselageLength;
-        const tailSlope = (this.height + AIRCRAFT_PADDING) * 0.3;
-        const tailBezierOffset = {
-            x: 100,
-            y: 20,
-        };
-        const tailp1 = {
-            x: tailStart + this.tailLength + tailBezierOffset.x,
-            y: this.y + tailSlope - AIRCRAFT_WALL_HEIGHT + tailBezierOffset.y,
-        };
-        const tailp2 = {
-            x: tailStart + this.tailLength + tailBezierOffset.x,
-            y: this.y + this.height - tailSlope + AIRCRAFT_PADDING - tailBezierOffset.y,
-        };
-        // Draw the tail first since it needs to be on the bottom
-        ctx.fillStyle = 'rgba(180, 180, 185, 1.0)';
-        ctx.strokeStyle = 'rgba(220, 220, 230, 1.0)';
-        ctx.lineWidth = AIRCRAFT_WALL_HEIGHT * 2;
-        ctx.lineCap = 'round';
-        ctx.lineJoin = 'round';
-        ctx.beginPath();
-        ctx.moveTo(tailStart, this.y - AIRCRAFT_PADDING);
-        ctx.quadraticCurveTo(
-            tailStart + 50,
-            this.y - AIRCRAFT_PADDING,
-            tailStart + this.tailLength,
-            this.y + tailSlope - AIRCRAFT_WALL_HEIGHT
-        );
-        ctx.bezierCurveTo(tailp1.x, tailp1.y, tailp2.x, tailp2.y, tailStart + this.tailLength, this.y + this.height + AIRCRAFT_PADDING - tailSlope);
-        ctx.quadraticCurveTo(
-            tailStart + 50,
-            this.y + this.height + AIRCRAFT_PADDING,
-            tailStart,
-            this.y + this.height + AIRCRAFT_PADDING
-        );
-        ctx.stroke();
-        ctx.fill();
-        ctx.closePath();
-
-        // The nose also needs to be below the fuselage
-        const noseBezierOffset = 19;
-        const nosep1 = {
-            x: this.x - this.noseLength,
-            y: this.y - AIRCRAFT_PADDING + noseBezierOffset,
-        };
-        const nosep2 = {
-            x: this.x - this.noseLength,
-            y: this.y + this.height + AIRCRAFT_PADDING - noseBezierOffset,
-        };
-        ctx.beginPath();
-        ctx.moveTo(this.x, this.y - AIRCRAFT_PADDING);
-        ctx.bezierCurveTo(nosep1.x, nosep1.y, nosep2.x, nosep2.y, this.x, this.y + this.height + AIRCRAFT_PADDING);
-        ctx.stroke();
-        ctx.fill();
-        ctx.closePath();
-
-        // Draw the fuselage
-        ctx.fillStyle = 'rgba(220, 220, 230, 1.0)';
-        ctx.fillRect(this.x, this.y - AIRCRAFT_WALL_HEIGHT - AIRCRAFT_PADDING, this.fuselageLength, AIRCRAFT_WALL_HEIGHT);
-        ctx.fillRect(this.x, this.y + this.height + AIRCRAFT_PADDING, this.fuselageLength, AIRCRAFT_WALL_HEIGHT);
-
-        ctx.fillStyle = 'rgba(180, 180, 185, 1.0)';
-        ctx.fillRect(this.x, this.y - AIRCRAFT_PADDING, this.fuselageLength, this.height + 2 * AIRCRAFT_PADDING);
-
-        // Draw the simulation grid over the body of the aircraft
-        for (const cell of this.grid) {
-            cell.render(ctx);
+/**
+ * Show a radio button for every boarding strategy in BOARDING_STRATEGIES, with inputs
+ * for their parameters; the strategy that was picked and any parameters that were
+ * filled in stay the way they were
+ */
+function renderStrategies() {
+    const checked = document.querySelector('input[name="method"]:checked');
+    const selected = checked ? checked.value : 'btf';
+    const list = document.getElementById('method_list');
+    const values = {};
+    for (const input of list.querySelectorAll('input[type="text"]')) {
+        values[input.id] = input.value;
+    }
+    list.innerHTML = '';
+    for (const strategy of Object.values(BOARDING_STRATEGIES)) {
+        const p = document.createElement('p');
+        const label = document.createElement('label');
+        const radio = document.createElement('input');
+        radio.type = 'radio';
+        radio.name = 'method';
+        radio.value = strategy.id;
+        radio.id = `method_${strategy.id}`;
+        radio.checked = strategy.id === selected;
+        label.htmlFor = radio.id;
+        label.title = strategy.description;
+        label.append(strategy.name + ' ', radio);
+        p.appendChild(label);
+        for (const param of strategy.params) {
+            const input = document.createElement('input');
+            input.type = 'text';
+            input.size = 3;
+            input.id = `strategy_param_${strategy.id}_${param.name}`;
+            input.value = values[input.id] === undefined ? param.default : values[input.id];
+            const paramLabel = document.createElement('label');
+            paramLabel.htmlFor = input.id;
+            paramLabel.append(param.label + ' ', input);
+            p.append(' ', paramLabel);
         }
+        list.appendChild(p);
+    }
+    if (!document.querySelector('input[name="method"]:checked')) {
+        // The strategy that was picked isn't around any more
+        document.getElementById('method_btf').checked = true;
     }
 }
 
-/** Most of the actual simulation setup is in these functions **/
-
-/**
- * Take a seat layout and generate an aircraft that implements it
- * @param{Array} seatLayout A list of SeatLayout objects the describe how the grid should look
- * @return{Aircraft} An aircraft with the desired layout
- */
-function generateAircraft(seatLayout) {
-    const startingCell = new Cell(0, 0);
-    const aircraft = new Aircraft(startingCell);
-    let prevAisle = startingCell;
-    let x = 0;
-    let rowIndex = 1;
-    for (let rowSpec of seatLayout) {
-        for (let i = 0; i < rowSpec.repeat; i++) {
-            x += CELLSIZE;
-            let prevCell = null;
-            let seatIndex = 0;
-            for (let j = 0; j < rowSpec.layout.length; j++) {
-                const cellType = rowSpec.layout.charAt(j);
-                const y = j * CELLSIZE;
-                let newCell = null;
-                // Add a new cell of the type required by the row spec
-                if (cellType === 'S') {
-                    // Add a seat
-                    const colName = String.fromCharCode(65 + seatIndex);
-                    newCell = new Seat(x, y, rowIndex, colName);
-                    seatIndex++;
-                    aircraft.addSeat(newCell);
-                } else if (cellType === 'A') {
-                    // Add an aisle
-                    newCell = new Cell(x, y);
-                    newCell.left = prevAisle;
-                    prevAisle.right = newCell;
-                    prevAisle.y = newCell.y; // Adjust y-coordinates so things line up
-                    prevAisle = newCell;
-                } else if (cellType === '+') {
-                    // Advance the seat index but don't count this space
-                    seatIndex++;
-                    continue;
+/**
+ * Run the strategy code the user pasted in, which should call registerStrategy, and
+ * add whatever it registers to the page
+ */
+function addStrategyFromCode() {
+    const before = Object.assign({}, BOARDING_STRATEGIES);
+    try {
+        new Function(document.getElementById('strategy_code').value)();
+    } catch (err) {
+        setStatus(typeof err === 'string' ? err : `The strategy code failed: ${err}`);
+        return;
+    }
+    const added = Object.values(BOARDING_STRATEGIES).filter(s => before[s.id] !== s);
+    if (added.length === 0) {
+        setStatus('The strategy code didn\'t register any strategies; it needs to call registerStrategy');
+        return;
+    }
+    // Try the new strategies out now, rather than leaving it until somebody runs one
+    let seatLayout;
+    try {
+        seatLayout = getSeatLayoutFromForm();
+    } catch (err) {
+        seatLayout = SEAT_LAYOUT_PRESETS.a321;
+    }
+    for (const strategy of added) {
+        try {
+            new Simulation({seatLayout: seatLayout, method: strategy.id});
+        } catch (err) {
+            // Put back whatever the code replaced (or take away what it added)
+            for (const s of added) {
+                if (before[s.id] === undefined) {
+                    delete BOARDING_STRATEGIES[s.id];
                 } else {
-                    // Skip this space
-                    continue;
-                }
-                if (prevCell) {
-                    // Link neighboring cells
-                    prevCell.down = newCell;
-                    newCell.up = prevCell;
+                    BOARDING_STRATEGIES[s.id] = before[s.id];
                 }
-                prevCell = newCell;
-                aircraft.addCell(newCell);
             }
-            rowIndex += 1;
+            reportRunError(err);
+            return;
         }
     }
-    // Scale the canvas so we can see the whole aircraft at once
-    const canvas = document.getElementById('simulation');
-    const ctx = canvas.getContext('2d');
-    const scaleFactor = Math.min(Math.min(canvas.width / aircraft.width, canvas.height / aircraft.height) * 0.95, 1.0);
-    ctx.scale(scaleFactor, scaleFactor);
-    const deltaX = canvas.width / 2 - aircraft.width / 2 * scaleFactor;
-    const deltaY = canvas.height / 2 - aircraft.height / 2 * scaleFactor;
-    ctx.translate(deltaX, deltaY);
-
-    return aircraft;
+    renderStrategies();
+    setStatus(`Added ${added.map(s => s.name).join(', ')}`);
 }
 
 /**
- * Pick a random color from a pallette of human-like skin tones
- * @return{String} An rgba color string repesenting the selected skin tone
+ * Show the inputs for the parameters of the selected luggage distribution, filled in with their defaults
  */
-function randomRgbaSkinColor() {
-    const colors = [
-        'rgba(197, 140, 133, 1.0)',
-        'rgba(236, 188, 180, 1.0)',
-        'rgba(209, 163, 164, 1.0)',
-        'rgba(161, 102, 94, 1.0)',
-        'rgba(80, 51, 53, 1.0)',
-        'rgba(89, 47, 42, 1.0)',
-    ];
-    const choice = Math.floor(Math.random() * colors.length);
-    return colors[choice];
+function renderLuggageParams() {
+    const name = document.getElementById('luggage_distribution').value;
+    const html = LUGGAGE_DISTRIBUTIONS[name].params.map(p => {
+        const id = `luggage_param_${p.name}`;
+        const size = p.list ? 20 : 3;
+        return `<label for="${id}">${p.label} <input size="${size}" type="text" id="${id}" value="${p.default}"></label>`;
+    }).join(' ');
+    document.getElementById('luggage_params').innerHTML = html;
 }
 
 /**
- * Take an array and rearrange its elements in a random order (does not create a new array)
- * @param{Array} The array to shuffle
+ * Show the inputs for the parameters of the selected bag policy, filled in with their defaults
  */
-function shuffleArray(array) {
-    for(let i = array.length - 1; i > 0; i--) {
-        const j = Math.floor(Math.random() * (i + 1));
-        const tmp = array[i];
-        array[i] = array[j];
-        array[j] = tmp;
-    }
+function renderBagPolicyParams() {
+    const name = document.getElementById('bag_policy').value;
+    const html = BAG_POLICIES[name].params.map(p => {
+        const id = `bag_policy_param_${p.name}`;
+        return `<label for="${id}">${p.label} <input size="3" type="text" id="${id}" value="${p.default}"></label>`;
+    }).join(' ');
+    document.getElementById('bag_policy_params').innerHTML = html;
 }
 
 /**
- * Get the desired seat layout from the user and generate an aircraft that matches it
- * @return{Aircraft} An aircraft with the desired seat layout
+ * Draw a histogram of stowing times drawn from the luggage distribution in the form
  */
-function generateAircraftFromForm() {
-    const presetValue = document.getElementById('layout_preset').value;
-    let seatLayout = SEAT_LAYOUT_PRESETS[presetValue];
-    if (presetValue === 'coords') {
-        const rows = document.getElementById('rows').value * 1;
-        const cols = document.getElementById('cols').value * 1;
-        // Build a seat layout from the row/column counts
-        seatLayout = [{
-            repeat: rows,
-            layout: 'S'.repeat(cols) + 'A' + 'S'.repeat(cols),
-        }];
+function previewLuggageDistribution() {
+    const canvas = document.getElementById('luggage_preview');
+    let distribution;
+    try {
+        distribution = getLuggageDistributionFromForm();
+    } catch (err) {
+        drawHistogram(canvas, [], 1, '');
+        setStatus(err);
+        return;
     }
-    return generateAircraft(seatLayout);
+    // Use a fixed seed so the preview only changes when the parameters do
+    const rng = createRng(1);
+    const samples = [];
+    for (let i = 0; i < 2000; i++) {
+        samples.push(distribution(rng) / 1000);
+    }
+    drawHistogram(canvas, samples, 30, 'Time to stow one bag (s)');
 }
 
 /**
  * Generate an aircraft from the form filled out by the user and render it to the canvas
  */
 function generateAndRenderAircraft() {
+    if (document.getElementById('layout_preset').value === 'custom') {
+        previewCustomLayout();
+        return;
+    }
     const canvas = document.getElementById('simulation');
     const ctx = canvas.getContext('2d');
-    const aircraft = generateAircraftFromForm();
+    let seatLayout;
+    try {
+        seatLayout = getSeatLayoutFromForm();
+    } catch (err) {
+        setStatus(err);
+        return;
+    }
+    const aircraft = generateAircraft(seatLayout);
+    fitAircraftToCanvas(ctx, aircraft);
     aircraft.render(ctx);
 }
 
 /**
- * Clear the canvas by resetting the transformation matrix and filling it with a white rectangle
+ * Render the custom seat layout as it's being edited, with an outline around every
+ * position in the row specs (including gaps, which don't otherwise show up) so the
+ * user can see what they're clicking on
  */
-function clearCanvas() {
+function previewCustomLayout() {
+    clearCanvas();
+    let seatLayout;
+    try {
+        seatLayout = parseCustomSeatLayout();
+    } catch (err) {
+        setStatus(typeof err === 'string' ? err : 'The custom seat layout isn\'t a list of row specs');
+        return;
+    }
+    // Don't try to build anything out of row specs that don't make sense (or are far too big)
+    const specErrors = validateRowSpecs(seatLayout);
+    if (specErrors.length > 0) {
+        setStatus(specErrors.join('<br>'));
+        return;
+    }
+    const aircraft = generateAircraft(seatLayout);
+    const errors = validateSeatLayout(seatLayout);
+    setStatus(errors.join('<br>'));
+    if (aircraft.grid.length === 1) {
+        // There's nothing but the starting cell, so there's nothing to see
+        return;
+    }
+
     const canvas = document.getElementById('simulation');
     const ctx = canvas.getContext('2d');
-    ctx.setTransform(1, 0, 0, 1, 0, 0);
-    ctx.fillStyle = 'rgba(255, 255, 255, 1.0)';
-    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    fitAircraftToCanvas(ctx, aircraft);
+    aircraft.render(ctx);
+    const rows = expandSeatLayout(seatLayout);
+    ctx.strokeStyle = 'rgba(120, 120, 120, 0.5)';
+    ctx.lineWidth = 1;
+    ctx.font = `${CELLSIZE / 3}px sans-serif`;
+    for (let r = 0; r < rows.length; r++) {
+        for (let j = 0; j < rows[r].layout.length; j++) {
+            const x = (r + 1) * CELLSIZE;
+            const y = j * CELLSIZE;
+            ctx.strokeRect(x, y, CELLSIZE, CELLSIZE);
+            if (rows[r].layout.charAt(j) === '+') {
+                ctx.fillStyle = 'rgba(120, 120, 120, 0.8)';
+                ctx.fillText('+', x + CELLSIZE / 3, y + CELLSIZE * 2 / 3);
+            }
+        }
+    }
 }
 
 /**
- * Put a set of passengers in back-to-front order
- * @param{Array} passengers The list of passengers to arrange
- * @param{Aircraft} aircraft The aircraft to load
+ * Change the type of the custom layout cell under the mouse to the next type in LAYOUT_CELL_TYPES
+ * @param{MouseEvent} e The click on the simulation canvas
  */
-function arrangeBackFront(passengers, aircraft) {
-    return passengers;
+function toggleCustomLayoutCell(e) {
+    let seatLayout;
+    try {
+        seatLayout = parseCustomSeatLayout();
+    } catch (err) {
+        setStatus(err);
+        return;
+    }
+    // Work out which row and position in the row spec were clicked; every row is one
+    // cell wide and the first one starts one cell in from the starting cell
+    const canvas = e.target;
+    const bounds = canvas.getBoundingClientRect();
+    const canvasX = (e.clientX - bounds.left) * canvas.width / bounds.width;
+    const canvasY = (e.clientY - bounds.top) * canvas.height / bounds.height;
+    const x = canvasX / aircraftTransform.scale - aircraftTransform.x;
+    const y = canvasY / aircraftTransform.scale - aircraftTransform.y;
+    const row = Math.floor(x / CELLSIZE) - 1;
+    const position = Math.floor(y / CELLSIZE);
+
+    const rows = expandSeatLayout(seatLayout);
+    if (row < 0 || row >= rows.length || position < 0 || position >= rows[row].layout.length) {
+        return;
+    }
+    const layout = rows[row].layout;
+    const current = LAYOUT_CELL_TYPES.indexOf(layout.charAt(position));
+    const next = LAYOUT_CELL_TYPES[(current + 1) % LAYOUT_CELL_TYPES.length];
+    rows[row].layout = layout.substring(0, position) + next + layout.substring(position + 1);
+    document.getElementById('custom_layout').value = formatSeatLayout(compressSeatLayout(rows));
+    previewCustomLayout();
 }
 
 /**
- * Put a set of passengers in front-to-back order
- * @param{Array} passengers The list of passengers to arrange
- * @param{Aircraft} aircraft The aircraft to load
+ * Show a zone scheme in the zone editor
+ * @param{Object} scheme The scheme to show (see createZoneArrangement)
  */
-function arrangeFrontBack(passengers, aircraft) {
-    return passengers.reverse();
+function renderZoneScheme(scheme) {
+    document.getElementById('zone_scheme_name').value = scheme.name === undefined ? '' : scheme.name;
+    const preBoarding = scheme.preBoarding || [];
+    document.getElementById('zone_preboarding').innerHTML = 'Pre-boarding: ' + Object.keys(PASSENGER_PROFILES).map(name => {
+        const id = `zone_preboard_${name}`;
+        const checked = preBoarding.includes(name) ? ' checked="checked"' : '';
+        return `<label for="${id}">${PASSENGER_PROFILES[name].label} <input type="checkbox" id="${id}" value="${name}"${checked}></label>`;
+    }).join(' ');
+    // The seat lists are whatever the user typed (or saved), so they only ever go in as values
+    const list = document.getElementById('zone_list');
+    list.innerHTML = '';
+    (scheme.zones || []).forEach((zone, i) => {
+        const p = document.createElement('p');
+        const seats = document.createElement('input');
+        seats.type = 'text';
+        seats.size = 16;
+        seats.id = `zone_seats_${i}`;
+        seats.value = zone.seats === undefined ? '' : zone.seats;
+        const select = document.createElement('select');
+        select.id = `zone_order_${i}`;
+        for (const order of Object.keys(ZONE_ORDERS)) {
+            const option = document.createElement('option');
+            option.value = order;
+            option.textContent = ZONE_ORDERS[order];
+            option.selected = order === zone.order;
+            select.appendChild(option);
+        }
+        const remove = document.createElement('button');
+        remove.dataset.zone = i;
+        remove.textContent = 'Remove';
+        p.append(`Zone ${i + 1} `, seats, ' ', select, ' ', remove);
+        list.appendChild(p);
+    });
 }
 
 /**
- * Put a set of passengers in random order
- * @param{Array} passengers The list of passengers to arrange
- * @param{Aircraft} aircraft The aircraft to load
+ * Read the zone scheme in the zone editor as it is, without checking it
+ * @return{Object} The scheme (see createZoneArrangement)
  */
-function arrangeRandom(passengers, aircraft) {
-    shuffleArray(passengers);
-    return passengers;
+function readZoneScheme() {
+    const preBoarding = Object.keys(PASSENGER_PROFILES).filter(name => document.getElementById(`zone_preboard_${name}`).checked);
+    const zones = [];
+    for (let i = 0; document.getElementById(`zone_seats_${i}`); i++) {
+        zones.push({
+            seats: document.getElementById(`zone_seats_${i}`).value,
+            order: document.getElementById(`zone_order_${i}`).value,
+        });
+    }
+    return {
+        name: document.getElementById('zone_scheme_name').value.trim(),
+        preBoarding: preBoarding,
+        zones: zones,
+    };
 }
 
 /**
- * Put a set of passengers in order for boarding according to Steffen (2008)
- *
- * This method orders passengers from back to front, every other row, on
- * alternate sides of the aircraft, from the outside in. There's a good diagram
- * in the original paper but here's a very simple example:
- *
- * 6  2  5  1
- * 14 10 13 9
- *
- * 16 12 15 11
- * 8  4  7  3
- * @param{Array} passengers The list of passengers to arrange
- * @param{Aircraft} aircraft The aircraft to load
- */
-function arrangeSteffen(passengers, aircraft) {
-    const seatMap = {};
-    for (const p of passengers) {
-        seatMap[p.targetSeat.toString()] = p;
-    }
-
-    // Iterate from the outside to the inside of the plane
-    const sortedPassengers = new Array();
-    let rightCol = 0;
-    let leftCol = aircraft.colCount - 1;
-    while (leftCol >= rightCol) {
-        // Iterate over the rows from the back of the plane to the front
-        const rightColName = String.fromCharCode(65 + rightCol);
-        const leftColName = String.fromCharCode(65 + leftCol);
-        for (let row = aircraft.rowCount; row > 0; row-=2) {
-            let seat = row + rightColName;
-            let passenger = seatMap[seat];
-            if (passenger !== undefined) {
-                sortedPassengers.push(seatMap[seat]);
-            }
-            console.log('R Boarding ' + seat);
-            if (leftCol !== rightCol) {
-                seat = row + leftColName;
-                console.log('L Boarding ' + seat);
-                passenger = seatMap[seat];
-                if (passenger !== undefined) {
-                    sortedPassengers.push(seatMap[seat]);
-                }
-            }
-        }
-        for (let row = aircraft.rowCount - 1; row > 0; row-=2) {
-            let seat = row + rightColName;
-            console.log('R Boarding ' + seat);
-            let passenger = seatMap[seat];
-            if (passenger !== undefined) {
-                sortedPassengers.push(seatMap[seat]);
-            }
-            if (leftCol !== rightCol) {
-                seat = row + leftColName;
-                console.log('L Boarding ' + seat);
-                passenger = seatMap[seat];
-                if (passenger !== undefined) {
-                    sortedPassengers.push(seatMap[seat]);
-                }
-            }
+ * Get the zone scheme in the zone editor, as long as it makes sense
+ * @return{Object} The scheme (see createZoneArrangement)
+ */
+function getZoneSchemeFromForm() {
+    const scheme = readZoneScheme();
+    const errors = validateZoneScheme(scheme);
+    if (errors.length > 0) {
+        // The errors quote the seat lists the user typed
+        throw errors.map(escapeHtml).join('<br>');
+    }
+    return scheme;
+}
+
+/**
+ * Get the zone schemes the user has saved
+ * @return{Object} The saved schemes, keyed by name
+ */
+function loadSavedZoneSchemes() {
+    try {
+        return JSON.parse(window.localStorage.getItem(ZONE_SCHEME_STORAGE_KEY)) || {};
+    } catch (err) {
+        // Either nothing has been saved yet or the browser won't let us at local storage
+        return {};
+    }
+}
+
+/**
+ * Save the zone schemes for next time
+ * @param{Object} schemes The schemes to save, keyed by name
+ * @return{Boolean} true if they were saved and false if the browser wouldn't let us
+ */
+function storeZoneSchemes(schemes) {
+    try {
+        window.localStorage.setItem(ZONE_SCHEME_STORAGE_KEY, JSON.stringify(schemes));
+        return true;
+    } catch (err) {
+        setStatus('Couldn\'t save the zone schemes: ' + err);
+        return false;
+    }
+}
+
+/**
+ * Fill in the list of saved zone schemes
+ */
+function renderSavedZoneSchemes() {
+    const select = document.getElementById('zone_saved');
+    select.innerHTML = '';
+    for (const name of Object.keys(loadSavedZoneSchemes()).sort()) {
+        const option = document.createElement('option');
+        option.value = name;
+        option.textContent = name;
+        select.appendChild(option);
+    }
+}
+
+/**
+ * Render the aircraft with the number of the zone each seat is in, so the user can
+ * see what their zone scheme looks like
+ */
+function previewZones() {
+    let aircraft;
+    try {
+        aircraft = generateAircraft(getSeatLayoutFromForm());
+    } catch (err) {
+        setStatus(err);
+        return;
+    }
+    // Work out each zone separately so one mistake doesn't hide all the others
+    const zones = readZoneScheme().zones.map(zone => {
+        try {
+            return parseSeatSpec(zone.seats);
+        } catch (err) {
+            return () => false;
         }
-        console.log('--');
-        // Move in towards the center of the aircraft
-        leftCol--;
-        rightCol++;
+    });
+    clearCanvas();
+    const ctx = document.getElementById('simulation').getContext('2d');
+    fitAircraftToCanvas(ctx, aircraft);
+    aircraft.render(ctx);
+    ctx.font = `${CELLSIZE / 2}px sans-serif`;
+    ctx.fillStyle = 'rgba(40, 40, 40, 1.0)';
+    for (const seat of aircraft.seats) {
+        const zone = zones.findIndex(contains => contains(seat));
+        const label = zone === -1 ? '-' : `${zone + 1}`;
+        ctx.fillText(label, seat.x + CELLSIZE / 3, seat.y + CELLSIZE * 2 / 3);
     }
-    sortedPassengers.reverse();
-    console.log(sortedPassengers);
-    return sortedPassengers;
+}
+
+/**
+ * Clear the canvas by resetting the transformation matrix and filling it with a white rectangle
+ */
+function clearCanvas() {
+    const canvas = document.getElementById('simulation');
+    const ctx = canvas.getContext('2d');
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.fillStyle = 'rgba(255, 255, 255, 1.0)';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
 }
 
 /**
@@ -739,90 +735,546 @@ function arrangeSteffen(passengers, aircraft) {
  * NOTE: This is only async so that we can get the timing right; it's kind of
  * gross but this was the only way I could think of to do it
  * @param{Object} simStatus The current status of the simulation - we just check this to make sure we don't need to break out of the main loop
- * @param{Number} tickLengthms The amount of time (in milliseconds) that should pass during each simulation tick - default is 500ms
- * @return{Number} The number of (simulated) seconds it took to board all of the passengers
+ * @return{Object} The result of the run (see Simulation.result)
  */
-async function simulate(simStatus, tickLengthms, luggageDistribution) {
-    if (tickLengthms === undefined) {
-        // Default tick rate is 1 simulation tick = 500 ms
-        tickLengthms = 500;
-    }
-    if (luggageDistribution === undefined) {
-        // By default just use 10 seconds as the average luggage loading time
-        luggageDistribution = function() {
-            return 10000;
-        };
-    }
+async function simulate(simStatus) {
     setStatus('Starting simulation');
     const canvas = document.getElementById('simulation');
     const ctx = canvas.getContext('2d');
 
-    // Create the aircraft
-    const aircraft = generateAircraftFromForm();
-    // Generate some passengers to fill the seats
-    let pendingPax = [];
-    const activePax = [];
-    const paxCount = aircraft.seats.length;
-    for (let i = 0; i < paxCount; i++) {
-        const targetSeat = aircraft.seats[i];
-        const color = randomRgbaSkinColor();
-        let pax = new Passenger(null, targetSeat, luggageDistribution, color);
-        pendingPax.push(pax);
+    // See what boarding method the user wants to use and set up the run
+    const options = getSimulationOptionsFromForm();
+    if (!options) {
+        return null;
     }
-
-    // See what boarding method the user wants to use and rearrange the passengers accordingly
     const method = document.querySelector('input[name="method"]:checked').value;
-    if (method === 'random') {
-        // Randomize the order of the passengers
-        pendingPax = arrangeRandom(pendingPax, aircraft);
-    } else if (method === 'btf') {
-        // Arrange the passengers back to front
-        pendingPax = arrangeBackFront(pendingPax, aircraft);
-    } else if (method === 'ftb') {
-        // Arrange the passengers front to back
-        pendingPax = arrangeFrontBack(pendingPax, aircraft);
-    } else if (method === 'steffen') {
-        // Put the passengers in the right order for Steffen loading
-        pendingPax = arrangeSteffen(pendingPax, aircraft);
-    } else {
-        console.error('Unknown boarding method: ' + method + '; using BTF');
+    options.recordEvents = true;
+    options.record = true;
+    let sim;
+    try {
+        sim = new Simulation(options);
+    } catch (err) {
+        reportRunError(err);
+        return null;
     }
+    fitAircraftToCanvas(ctx, sim.aircraft);
 
-    // Run the simulation until all passengers are seated
-    setStatus(`Boarding ${paxCount} passengers (${method} method)...`);
-    const maxIterations = 10000;
-    let iterCount = 0;
+    // Run the simulation until all passengers are seated (or off the aircraft)
+    const deplaning = options.mode === 'deplane';
+    if (deplaning) {
+        setStatus(`Deplaning ${sim.passengerCount} passengers (${options.deplaningPolicy} policy, seed ${sim.seed})...`);
+    } else {
+        setStatus(`Boarding ${sim.passengerCount} passengers (${method} method, seed ${sim.seed})...`);
+    }
+    // This only sets how fast the run plays on screen; the simulated clock is set by the clock parameters
     const timeStep = document.getElementById('time_step').value * 1;
-    while(simStatus.run && iterCount < maxIterations) {
-        // Add any available passengers to the simulation if there's free
-        // space at the end of the queue
+    startProgress(deplaning);
+    while(simStatus.run && sim.iteration < sim.maxIterations) {
         const startTime = new Date();
-        if (pendingPax.length > 0 && aircraft.startingCell.isEmpty()) {
-            const nextPax = pendingPax.pop();
-            aircraft.board(nextPax);
-            activePax.push(nextPax);
-        }
-        // Render the simulation and compute the next step for each passenger
-        aircraft.render(ctx);
+        // Compute the next step for each passenger and render the result
+        const running = sim.step();
+        renderAircraft(ctx, sim.aircraft);
+        updateProgress(sim, !running);
         // If everybody is seated then we're done!
-        if (activePax.filter(p => p.state !== State.Seated).length === 0) {
-            setStatus(`All ${paxCount} passengers seated after ${iterCount} iterations`);
+        if (!running) {
+            const done = deplaning ? 'off the aircraft' : 'seated';
+            const result = sim.result();
+            let msg = `All ${sim.passengerCount} passengers ${done} after ${formatClock(result.time)} (${sim.iteration} ticks, seed ${sim.seed})`;
+            if (sim.passengerCount < sim.aircraft.seats.length) {
+                msg += `; ${sim.aircraft.seats.length - sim.passengerCount} of ${sim.aircraft.seats.length} seats empty`;
+            }
+            if (sim.bagsChecked > 0) {
+                msg += `; ${sim.bagsChecked} bags checked`;
+            }
+            if (sim.noShows > 0) {
+                msg += `; ${sim.noShows} didn't show up`;
+            }
+            if (result.blockedTime > 0) {
+                msg += `; ${(result.blockedTime / 1000 / sim.passengerCount).toFixed(1)} s blocked per passenger, ` +
+                    `${(result.stowWaitTime / 1000 / sim.passengerCount).toFixed(1)} s of it behind somebody stowing bags`;
+            }
+            setStatus(msg);
             break;
         }
-        for (const p of activePax) {
-            p.simulate(tickLengthms);
-        }
-        iterCount++;
         const elapsed = Date.now() - startTime;
         const deltaT = timeStep - elapsed;
         // This is the closest we get to sleep() in JS
         await new Promise(resolve => setTimeout(resolve, deltaT));
     }
     if (!simStatus.run) {
-        const msg = `Simulation aborted after ${iterCount} iterations`;
+        const msg = `Simulation aborted after ${formatClock(sim.iteration * sim.tickLength)} (${sim.iteration} ticks)`;
         console.log(msg);
         setStatus(msg);
     }
+    const result = sim.result();
+    const passengers = sim.passengerLog();
+    const recording = sim.recording();
+    rememberRun({options: options, result: result, events: sim.events, passengers: passengers, recording: recording}, result.seed, [result], sim.events, passengers);
+    if (simStatus.run && sim.finished) {
+        // Keep this run's line on the progress chart to compare the next one to
+        const label = deplaning ? DEPLANING_POLICIES[options.deplaningPolicy].label : methodLabel(method);
+        finishProgress(`${label} (seed ${sim.seed})`);
+    }
+    if (simStatus.run) {
+        // Let the user go back over the run, starting from the end
+        startReplay(recording);
+        replayStatus.replay.seek(replayStatus.replay.frameCount - 1);
+        renderReplay();
+    }
+    return result;
+}
+
+/**
+ * The options we turn off and run the same passengers again without, to show what they
+ * cost (or save): when each one applies, what to change, and what to call the mean
+ * time without it and the difference it makes. The difference is the time with the
+ * option less the time without it, or the other way round if the option saves time.
+ */
+const OPTIONS_TO_RUN_WITHOUT = [
+    {
+        applies: options => options.partyShare > 0,
+        change: {partyShare: 0},
+        meanLabel: 'Mean without parties',
+        differenceLabel: 'Party cost (mean)',
+    },
+    {
+        applies: options => options.doorRule !== 'front',
+        change: {doorRule: 'front'},
+        meanLabel: 'Mean with front door only',
+        differenceLabel: 'Door change (mean)',
+    },
+    {
+        applies: options => options.bagPolicy !== undefined && options.mode !== 'deplane',
+        change: {bagPolicy: undefined},
+        meanLabel: 'Mean with no bag policy',
+        differenceLabel: 'Saved by the bag policy (mean)',
+        saves: true,
+    },
+    {
+        applies: options => options.compliance !== undefined && options.mode !== 'deplane',
+        change: {compliance: undefined},
+        meanLabel: 'Mean with everybody on time',
+        differenceLabel: 'Compliance cost (mean)',
+    },
+];
+
+/**
+ * Run the same passengers again without each of the OPTIONS_TO_RUN_WITHOUT that apply
+ * @param{Object} options The options of the original runs
+ * @param{Number} seed The seed of the original runs
+ * @param{Function} rerun A function that runs the batch (or comparison) again with the
+ * options it's given and returns the mean time (in milliseconds) of each row of results
+ * @param{Array} means The mean time of each row of the original results
+ * @return{Array} The mean time without each option and the difference it makes, as a
+ * list of {label, values} columns with one value per row
+ */
+function runWithoutOptions(options, seed, rerun, means) {
+    const columns = [];
+    for (const without of OPTIONS_TO_RUN_WITHOUT.filter(w => w.applies(options))) {
+        const others = rerun(Object.assign({}, options, without.change, {seed: seed}));
+        columns.push({
+            label: without.meanLabel,
+            values: others.map(formatClock),
+        });
+        columns.push({
+            label: without.differenceLabel,
+            values: others.map((other, i) => formatClock(without.saves ? other - means[i] : means[i] - other)),
+        });
+    }
+    return columns;
+}
+
+/**
+ * Run a batch of simulations with the parameters from the form, as fast as we can and
+ * without rendering any of them, then show a summary of how long they took
+ * @return{Object} The batch results (see runBatch)
+ */
+async function simulateBatch() {
+    const options = getSimulationOptionsFromForm();
+    if (!options) {
+        return null;
+    }
+    const method = document.querySelector('input[name="method"]:checked').value;
+    const runs = getRunCountFromForm();
+    if (!runs) {
+        return null;
+    }
+    const what = options.mode === 'deplane' ? `${options.deplaningPolicy} deplaning policy` : `${method} method`;
+    setStatus(`Running ${runs} simulations (${what})...`);
+    // Give the page a chance to show the status before we tie it up
+    await new Promise(resolve => setTimeout(resolve, 0));
+    let batch;
+    try {
+        batch = runBatch(options, runs);
+    } catch (err) {
+        reportRunError(err);
+        return null;
+    }
+    let msg = `Finished ${runs} simulations (${what}, seed ${batch.seed})`;
+    if (batch.incomplete > 0) {
+        msg += `; ${batch.incomplete} hit the iteration limit and were left out of the summary`;
+    }
+    const rerun = opts => [runBatch(opts, runs).time.mean];
+    const extraRows = runWithoutOptions(options, batch.seed, rerun, [batch.time.mean]).map(column => [column.label, column.values[0]]);
+    if (options.bagPolicy !== undefined && options.mode !== 'deplane') {
+        extraRows.push(['Bags checked (mean)', batch.bagsChecked.mean]);
+    }
+    if (batch.binDelay.mean > 0) {
+        extraRows.push(['Time lost to full bins per passenger (s, mean)', batch.binDelay.mean / 1000]);
+        extraRows.push(['Passengers looking for bin space (mean)', batch.binSearches.mean]);
+    }
+    setStatus(msg);
+    renderSummaryTable(batch.time, extraRows, options.mode === 'deplane' ? 'Deplaning time (mm:ss)' : 'Boarding time (mm:ss)');
+    document.getElementById('results_chart').classList.add('hidden');
+    rememberRun({options: options, batch: batch}, batch.seed, batch.results);
+    return batch;
+}
+
+/**
+ * Get the label the page uses for a boarding method
+ * @param{String} method The name of the method (the value of its radio button)
+ * @return{String} The text of the method's label, or the method name if there's no label for it
+ */
+function methodLabel(method) {
+    if (BOARDING_STRATEGIES[method]) {
+        return BOARDING_STRATEGIES[method].name;
+    }
+    const input = document.querySelector(`input[name="method"][value="${method}"]`);
+    if (!input) {
+        return method;
+    }
+    return input.parentElement.textContent.trim();
+}
+
+/**
+ * Get the label to show for one row of a comparison
+ * @param{Object} row The results for one boarding method or deplaning policy (see compareMethods and compareDeplaningPolicies)
+ * @return{String} The label of the method or policy
+ */
+function comparisonLabel(row) {
+    if (row.policy !== undefined) {
+        return DEPLANING_POLICIES[row.policy].label;
+    }
+    return methodLabel(row.method);
+}
+
+/**
+ * Run a batch of simulations for every boarding method (or deplaning policy) on the current aircraft and
+ * show the results next to each other
+ * @return{Object} The comparison results (see compareMethods and compareDeplaningPolicies)
+ */
+async function simulateComparison() {
+    const options = getSimulationOptionsFromForm();
+    if (!options) {
+        return null;
+    }
+    const runs = getRunCountFromForm();
+    if (!runs) {
+        return null;
+    }
+    // When we're deplaning we compare the deplaning policies instead of the boarding methods
+    const deplaning = options.mode === 'deplane';
+    const what = deplaning ? 'deplaning policies' : 'boarding methods';
+    // If the user is working on a zone scheme then it goes up against the built-in methods
+    const extraMethods = typeof options.method === 'function' ? {zones: options.method} : undefined;
+    const compare = opts => deplaning ? compareDeplaningPolicies(opts, runs) : compareMethods(opts, runs, extraMethods);
+    const rowsOf = c => deplaning ? c.policies : c.methods;
+    setStatus(`Comparing ${what} over ${runs} runs each...`);
+    // Give the page a chance to show the status before we tie it up
+    await new Promise(resolve => setTimeout(resolve, 0));
+    let comparison;
+    try {
+        comparison = compare(options);
+    } catch (err) {
+        reportRunError(err);
+        return null;
+    }
+    const methods = rowsOf(comparison);
+    setStatus(`Compared ${methods.length} ${what} over ${runs} runs each (seed ${comparison.seed})`);
+
+    const rerun = opts => rowsOf(compare(opts)).map(c => c.time.mean);
+    const extraColumns = runWithoutOptions(options, comparison.seed, rerun, methods.map(c => c.time.mean));
+    if (options.bagPolicy !== undefined && !deplaning) {
+        extraColumns.push({
+            label: 'Bags checked',
+            values: methods.map(c => c.meanBagsChecked.toFixed(1)),
+        });
+    }
+    if (methods.some(c => c.meanBinDelay > 0)) {
+        extraColumns.push({
+            label: 'Time lost to full bins per passenger (s)',
+            values: methods.map(c => (c.meanBinDelay / 1000).toFixed(1)),
+        });
+        extraColumns.push({
+            label: 'Passengers looking for bin space',
+            values: methods.map(c => c.meanBinSearches.toFixed(1)),
+        });
+    }
+    renderComparisonTable(methods, extraColumns);
+
+    const chart = document.getElementById('results_chart');
+    chart.classList.remove('hidden');
+    // Methods where no runs finished have no time to show
+    drawBarChart(chart, methods.filter(c => c.time.count > 0).map(c => ({
+        label: comparisonLabel(c),
+        value: c.time.mean,
+        error: c.time.stddev,
+    })), deplaning ? 'Mean deplaning time (mm:ss)' : 'Mean boarding time (mm:ss)', formatClock);
+    rememberRun({options: options, comparison: comparison}, comparison.seed, [].concat(...methods.map(c => c.results)));
+    return comparison;
+}
+
+/**
+ * Show the results of comparing boarding methods in the results area
+ * @param{Array} methods The results for each method (see compareMethods)
+ * @param{Array} extraColumns Any other columns to show, as a list of {label, values}
+ * objects with one value per method
+ */
+function renderComparisonTable(methods, extraColumns) {
+    const deplaning = methods.length > 0 && methods[0].policy !== undefined;
+    const extraHeaders = extraColumns.map(c => `<th>${c.label}</th>`).join('');
+    const header = `<tr><th>${deplaning ? 'Policy' : 'Method'}</th><th>Mean</th><th>Median</th><th>Std. deviation</th><th>Min</th><th>Max</th>` +
+        `<th>Speedup vs. ${deplaning ? 'row by row' : 'back-to-front'}</th>${extraHeaders}</tr>`;
+    const body = methods.map((c, i) => {
+        const s = c.time;
+        const extraCells = extraColumns.map(col => `<td>${col.values[i]}</td>`).join('');
+        return `<tr><th>${comparisonLabel(c)}</th><td>${formatClock(s.mean)}</td><td>${formatClock(s.median)}</td>` +
+            `<td>${formatClock(s.stddev)}</td><td>${formatClock(s.min)}</td><td>${formatClock(s.max)}</td>` +
+            `<td>${c.speedup === null ? '&mdash;' : c.speedup.toFixed(2) + '&times;'}</td>${extraCells}</tr>`;
+    }).join('');
+    const caption = deplaning ? 'Deplaning time (mm:ss)' : 'Boarding time (mm:ss)';
+    document.getElementById('results').innerHTML = `<table><caption>${caption}</caption>${header}${body}</table>`;
+}
+
+/**
+ * Show a statistical summary of boarding (or deplaning) times in the results area
+ * @param{Object} summary The summary of the times to show, in milliseconds (see summarize)
+ * @param{Array} extraRows Any other rows to show after the summary, as [label, value] pairs;
+ * numbers are shown to one decimal place and strings as they are
+ * @param{String} caption The caption for the table
+ */
+function renderSummaryTable(summary, extraRows, caption) {
+    if (summary.count === 0) {
+        document.getElementById('results').innerHTML = '';
+        return;
+    }
+    const rows = [
+        ['Runs', summary.count],
+        ['Mean', formatClock(summary.mean)],
+        ['Median', formatClock(summary.median)],
+        ['Std. deviation', formatClock(summary.stddev)],
+        ['Min', formatClock(summary.min)],
+        ['Max', formatClock(summary.max)],
+    ];
+    for (const p of Object.keys(summary.percentiles)) {
+        rows.push([`${p}th percentile`, formatClock(summary.percentiles[p])]);
+    }
+    rows.push(...extraRows);
+    const body = rows.map(([label, value]) => {
+        const shown = typeof value === 'string' || Number.isInteger(value) ? value : value.toFixed(1);
+        return `<tr><th>${label}</th><td>${shown}</td></tr>`;
+    }).join('');
+    document.getElementById('results').innerHTML = `<table><caption>${caption}</caption>${body}</table>`;
+}
+
+/**
+ * Copy the options of a run into plain data that can be saved as JSON
+ * @param{Object} options The options of the run (see Simulation)
+ * @return{Object} The same options, with the luggage distribution, bag policy and zone
+ * scheme functions replaced by the specs they were made from (see createLuggageDistribution,
+ * createBagPolicy and createZoneArrangement)
+ */
+function describeOptions(options) {
+    const described = {};
+    for (const key of Object.keys(options)) {
+        const value = options[key];
+        described[key] = typeof value === 'function' ? value.spec : value;
+    }
+    return described;
+}
+
+/**
+ * Keep the data from the last run, batch or comparison so it can be downloaded, and
+ * turn on the download buttons for whatever there is to download
+ * @param{Object} data Everything there is to know about the run(s), for the JSON download
+ * @param{Number} seed The seed of the run, batch or comparison
+ * @param{Array} results The result of each run (see Simulation.result)
+ * @param{Array} events The event log of a single run (see Simulation.logEvent) - default is no events
+ * @param{Array} passengers What happened to each passenger in a single run (see Simulation.passengerLog) - default is nobody
+ */
+function rememberRun(data, seed, results, events, passengers) {
+    lastRun = {
+        // The options have to be plain data (with the seed that was actually used) for the run to be reproduced from the JSON
+        data: Object.assign({}, data, {options: Object.assign(describeOptions(data.options), {seed: seed})}),
+        seed: seed,
+        results: results,
+        events: events === undefined ? [] : events,
+        passengers: passengers === undefined ? [] : passengers,
+    };
+    document.getElementById('download_results_csv').disabled = lastRun.results.length === 0;
+    document.getElementById('download_events_csv').disabled = lastRun.events.length === 0;
+    document.getElementById('download_passengers_csv').disabled = lastRun.passengers.length === 0;
+    document.getElementById('download_json').disabled = false;
+}
+
+/**
+ * Hand some text to the user as a file to save
+ * @param{String} filename The name to suggest for the file
+ * @param{String} type The MIME type of the file
+ * @param{String} text The contents of the file
+ */
+function downloadFile(filename, type, text) {
+    const url = URL.createObjectURL(new Blob([text], {type: type}));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Start charting the progress of a new run
+ * @param{Boolean} deplaning Whether the run is emptying the aircraft rather than boarding it
+ */
+function startProgress(deplaning) {
+    progressStatus.deplaning = deplaning;
+    progressStatus.samples = [];
+    progressStatus.lastDrawn = 0;
+    // Runs going the other way don't make much sense on the same chart
+    progressStatus.finished = progressStatus.finished.filter(run => run.deplaning === deplaning);
+    document.getElementById('progress').classList.remove('hidden');
+}
+
+/**
+ * Add where everybody is after the latest tick to the progress chart, and redraw it
+ * every so often (drawing it every tick would slow fast runs down)
+ * @param{Simulation} sim The simulation that's running
+ * @param{Boolean} done Whether the run just finished, in which case the chart is always redrawn
+ */
+function updateProgress(sim, done) {
+    const sample = sim.progress();
+    sample.time = sim.iteration * sim.tickLength;
+    progressStatus.samples.push(sample);
+    if (done || Date.now() - progressStatus.lastDrawn > 100) {
+        drawProgress();
+        progressStatus.lastDrawn = Date.now();
+    }
+}
+
+/**
+ * Keep the line for the run that just finished on the progress chart, dashed, so the
+ * next runs can be compared to it
+ * @param{String} label What to call the run in the legend
+ */
+function finishProgress(label) {
+    const measure = progressStatus.deplaning ? 'deplaned' : 'seated';
+    progressStatus.finished.push({
+        label: label,
+        deplaning: progressStatus.deplaning,
+        points: progressStatus.samples.map(s => [s.time, s[measure]]),
+    });
+    // Don't let the legend run off the bottom of the chart
+    progressStatus.finished = progressStatus.finished.slice(-PROGRESS_OVERLAY_COLORS.length);
+    drawProgress();
+}
+
+/**
+ * Draw the progress of the current run, and the runs that finished before it
+ */
+function drawProgress() {
+    const lines = progressStatus.deplaning ? PROGRESS_DEPLANING_LINES : PROGRESS_BOARDING_LINES;
+    const series = lines.map(line => ({
+        label: line.label,
+        color: line.color,
+        points: progressStatus.samples.map(s => [s.time, s[line.measure]]),
+    }));
+    progressStatus.finished.forEach((run, i) => {
+        series.push({
+            label: run.label,
+            color: PROGRESS_OVERLAY_COLORS[i],
+            points: run.points,
+            dashed: true,
+        });
+    });
+    const title = progressStatus.deplaning ? 'Deplaning progress (passengers)' : 'Boarding progress (passengers)';
+    drawLineChart(document.getElementById('progress_chart'), series, title, 'Time (mm:ss)', formatClock);
+}
+
+/**
+ * Draw an aircraft from a simulation or a replay, with the congestion heatmap on top if the user wants one
+ * @param ctx a 2d canvas context
+ * @param{Aircraft} aircraft The aircraft to draw
+ */
+function renderAircraft(ctx, aircraft) {
+    aircraft.render(ctx);
+    const measure = document.getElementById('heatmap').value;
+    if (measure !== '') {
+        aircraft.renderHeatmap(ctx, measure);
+    }
+}
+
+/**
+ * Get ready to replay a recorded simulation, starting from the beginning
+ * @param{Object} recording The recording (see Simulation.recording)
+ * @return{Boolean} true if we can replay it and false if it's not a recording we understand - in which case we say why in the status line
+ */
+function startReplay(recording) {
+    pauseReplay();
+    try {
+        replayStatus.replay = new Replay(recording);
+    } catch (err) {
+        setStatus(err);
+        return false;
+    }
+    clearCanvas();
+    fitAircraftToCanvas(document.getElementById('simulation').getContext('2d'), replayStatus.replay.aircraft);
+    const slider = document.getElementById('replay_slider');
+    slider.max = replayStatus.replay.frameCount - 1;
+    document.getElementById('replay_controls').classList.remove('hidden');
+    renderReplay();
+    return true;
+}
+
+/**
+ * Draw the current frame of the replay and show where we are in it
+ */
+function renderReplay() {
+    const replay = replayStatus.replay;
+    renderAircraft(document.getElementById('simulation').getContext('2d'), replay.aircraft);
+    document.getElementById('replay_slider').value = replay.frame;
+    const time = formatClock(replay.frame * replay.recording.tickLength);
+    document.getElementById('replay_frame').textContent = `${time} (tick ${replay.frame} of ${replay.frameCount - 1})`;
+}
+
+/**
+ * Play the replay from the current frame (or from the start if we're at the end),
+ * one frame per time step
+ */
+function playReplay() {
+    pauseReplay();
+    const replay = replayStatus.replay;
+    if (replay.frame >= replay.frameCount - 1) {
+        replay.seek(0);
+    }
+    const tick = () => {
+        const moved = replay.step();
+        renderReplay();
+        replayStatus.timer = moved ? setTimeout(tick, document.getElementById('time_step').value * 1) : null;
+    };
+    renderReplay();
+    replayStatus.timer = setTimeout(tick, document.getElementById('time_step').value * 1);
+}
+
+/**
+ * Stop playing the replay, if it's playing
+ */
+function pauseReplay() {
+    if (replayStatus.timer !== null) {
+        clearTimeout(replayStatus.timer);
+        replayStatus.timer = null;
+    }
 }
 
 /**
@@ -833,19 +1285,134 @@ function setStatus(message) {
     document.getElementById('status').innerHTML = message;
 }
 
+/**
+ * Make some text safe to put in a status message (or anywhere else that takes HTML)
+ * @param{String} text The text, e.g. something the user typed
+ * @return{String} The text with the characters that mean something in HTML escaped
+ */
+function escapeHtml(text) {
+    const replacements = {'&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', '\'': '&#39;'};
+    return String(text).replace(/[&<>"']/g, c => replacements[c]);
+}
+
+/**
+ * Say what went wrong with a run in the status line
+ * @param err What was thrown - our own errors are strings, but strategy code can throw anything
+ */
+function reportRunError(err) {
+    setStatus(typeof err === 'string' ? err : `The simulation failed: ${err}`);
+}
+
+/**
+ * Start a new simulation; if it fails we say so, and the next one can still start
+ */
+function startSimulation() {
+    simStatus.run = true;
+    currentSim = simulate(simStatus).catch(reportRunError);
+}
+
 // We use these two variables in case we need to interrupt the current simulation
 const simStatus = {
     run: true,
 };
 let currentSim = null;
+// The progress of the current run, sampled every tick, and the runs that finished before it
+const progressStatus = {
+    deplaning: false,
+    samples: [],
+    finished: [],
+    lastDrawn: 0,
+};
+// The data from the last run, batch or comparison (see rememberRun)
+let lastRun = null;
+// The pending preview of the custom seat layout while it's being typed
+let customLayoutTimer = null;
+// The recording we're replaying, if any, and the timer that plays it
+const replayStatus = {
+    replay: null,
+    timer: null,
+};
 
 // Set up event listeners for the various form controls on the page
 window.addEventListener('load', e => {
     const choice = document.getElementById('layout_preset').value;
     if (choice === 'coords') {
         document.getElementById('row_col_params').classList.remove('hidden');
+    } else if (choice === 'custom') {
+        document.getElementById('custom_layout_params').classList.remove('hidden');
+    }
+    if (document.getElementById('mode').value === 'deplane') {
+        document.getElementById('deplaning_params').classList.remove('hidden');
+    }
+    if (document.getElementById('custom_layout').value.trim() === '') {
+        document.getElementById('custom_layout').value = formatSeatLayout(SEAT_LAYOUT_PRESETS['a321']);
     }
     generateAndRenderAircraft();
+    // Fill in the luggage distributions the engine knows about
+    const distributions = document.getElementById('luggage_distribution');
+    for (const name of Object.keys(LUGGAGE_DISTRIBUTIONS)) {
+        const option = document.createElement('option');
+        option.value = name;
+        option.textContent = LUGGAGE_DISTRIBUTIONS[name].label;
+        distributions.appendChild(option);
+    }
+    renderLuggageParams();
+    previewLuggageDistribution();
+    // And the carry-on bag policies
+    const bagPolicies = document.getElementById('bag_policy');
+    for (const name of Object.keys(BAG_POLICIES)) {
+        const option = document.createElement('option');
+        option.value = name;
+        option.textContent = BAG_POLICIES[name].label;
+        bagPolicies.appendChild(option);
+    }
+    renderBagPolicyParams();
+    // And the ways of getting everybody off again
+    const policies = document.getElementById('deplaning_policy');
+    for (const name of Object.keys(DEPLANING_POLICIES)) {
+        const option = document.createElement('option');
+        option.value = name;
+        option.textContent = DEPLANING_POLICIES[name].label;
+        policies.appendChild(option);
+    }
+    // And the things the heatmap can show
+    const heatmap = document.getElementById('heatmap');
+    for (const name of Object.keys(HEATMAP_MEASURES)) {
+        const option = document.createElement('option');
+        option.value = name;
+        option.textContent = HEATMAP_MEASURES[name];
+        heatmap.appendChild(option);
+    }
+    // And the ways of leaving seats empty
+    const seatSelections = document.getElementById('seat_selection');
+    for (const name of Object.keys(SEAT_SELECTIONS)) {
+        const option = document.createElement('option');
+        option.value = name;
+        option.textContent = SEAT_SELECTIONS[name].label;
+        seatSelections.appendChild(option);
+    }
+    // And the ways of sending passengers to the doors
+    const doorRules = document.getElementById('door_rule');
+    for (const name of Object.keys(DOOR_RULES)) {
+        const option = document.createElement('option');
+        option.value = name;
+        option.textContent = DOOR_RULES[name].label;
+        doorRules.appendChild(option);
+    }
+    // Add a radio button for each boarding strategy
+    renderStrategies();
+    // Start the zone editor off with an example
+    renderZoneScheme(DEFAULT_ZONE_SCHEME);
+    renderSavedZoneSchemes();
+    if (document.getElementById('method_zones').checked) {
+        document.getElementById('zone_params').classList.remove('hidden');
+    }
+    // Add an input for the share of each kind of passenger
+    document.getElementById('population_params').innerHTML = Object.keys(PASSENGER_PROFILES).map(name => {
+        const profile = PASSENGER_PROFILES[name];
+        const id = `profile_share_${name}`;
+        return `<label for="${id}">${profile.label} <input size="3" type="text" id="${id}" value="${profile.share}">%</label>`;
+    }).join('<br>');
 });
 document.getElementById('render_button').addEventListener('click', e => {
     e.preventDefault();
@@ -854,19 +1421,99 @@ document.getElementById('render_button').addEventListener('click', e => {
 });
 document.getElementById('simulate_button').addEventListener('click', e => {
     e.preventDefault();
+    pauseReplay();
+    document.getElementById('replay_controls').classList.add('hidden');
     clearCanvas();
     if (currentSim) {
         console.log('Cancelling current simulation');
         simStatus.run = false;
-        currentSim.then(() => {
-            simStatus.run = true;
-            currentSim = simulate(simStatus);
-        });
+        currentSim.finally(startSimulation);
     } else {
-        simStatus.run = true;
-        currentSim = simulate(simStatus);
+        startSimulation();
     }
 });
+document.getElementById('replay_play_button').addEventListener('click', e => {
+    playReplay();
+});
+document.getElementById('replay_pause_button').addEventListener('click', e => {
+    pauseReplay();
+});
+document.getElementById('replay_step_button').addEventListener('click', e => {
+    pauseReplay();
+    replayStatus.replay.step();
+    renderReplay();
+});
+document.getElementById('replay_back_button').addEventListener('click', e => {
+    pauseReplay();
+    replayStatus.replay.stepBack();
+    renderReplay();
+});
+document.getElementById('replay_slider').addEventListener('input', e => {
+    pauseReplay();
+    replayStatus.replay.seek(e.target.value * 1);
+    renderReplay();
+});
+document.getElementById('progress_clear_button').addEventListener('click', e => {
+    progressStatus.finished = [];
+    drawProgress();
+});
+document.getElementById('heatmap').addEventListener('change', e => {
+    // A live simulation picks up the change on its next tick, but a replay has to be redrawn
+    if (replayStatus.replay !== null && !document.getElementById('replay_controls').classList.contains('hidden')) {
+        renderReplay();
+    }
+});
+document.getElementById('replay_file').addEventListener('change', e => {
+    const file = e.target.files[0];
+    if (file === undefined) {
+        return;
+    }
+    file.text().then(text => {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (err) {
+            setStatus(`${file.name} isn't a JSON file`);
+            return;
+        }
+        // Take either a recording or everything downloaded after a single run
+        const recording = data !== null && data.recording !== undefined ? data.recording : data;
+        if (startReplay(recording)) {
+            setStatus(`Replaying ${file.name} (${recording.method} method, seed ${recording.seed})`);
+        }
+    });
+});
+document.getElementById('batch_button').addEventListener('click', e => {
+    e.preventDefault();
+    simulateBatch().catch(reportRunError);
+});
+document.getElementById('compare_button').addEventListener('click', e => {
+    e.preventDefault();
+    simulateComparison().catch(reportRunError);
+});
+document.getElementById('download_results_csv').addEventListener('click', e => {
+    e.preventDefault();
+    downloadFile(`jsboard-${lastRun.seed}-results.csv`, 'text/csv', formatCsv(lastRun.results));
+});
+document.getElementById('download_events_csv').addEventListener('click', e => {
+    e.preventDefault();
+    downloadFile(`jsboard-${lastRun.seed}-events.csv`, 'text/csv', formatCsv(lastRun.events));
+});
+document.getElementById('download_passengers_csv').addEventListener('click', e => {
+    e.preventDefault();
+    downloadFile(`jsboard-${lastRun.seed}-passengers.csv`, 'text/csv', formatCsv(lastRun.passengers));
+});
+document.getElementById('download_json').addEventListener('click', e => {
+    e.preventDefault();
+    downloadFile(`jsboard-${lastRun.seed}.json`, 'application/json', JSON.stringify(lastRun.data, null, 2));
+});
+document.getElementById('luggage_distribution').addEventListener('change', e => {
+    renderLuggageParams();
+    previewLuggageDistribution();
+});
+document.getElementById('luggage_params').addEventListener('input', e => {
+    previewLuggageDistribution();
+});
 document.getElementById('layout_preset').addEventListener('change', e => {
     const choice = e.target.value;
     if (choice === 'coords') {
@@ -874,4 +1521,110 @@ document.getElementById('layout_preset').addEventListener('change', e => {
     } else {
         document.getElementById('row_col_params').classList.add('hidden');
     }
+    if (choice === 'custom') {
+        document.getElementById('custom_layout_params').classList.remove('hidden');
+        previewCustomLayout();
+    } else {
+        document.getElementById('custom_layout_params').classList.add('hidden');
+        if (SEAT_LAYOUT_PRESETS[choice]) {
+            // Start the next custom layout from the last preset we looked at
+            document.getElementById('custom_layout').value = formatSeatLayout(SEAT_LAYOUT_PRESETS[choice]);
+        }
+    }
+});
+document.getElementById('bag_policy').addEventListener('change', e => {
+    renderBagPolicyParams();
+});
+document.getElementById('mode').addEventListener('change', e => {
+    if (e.target.value === 'deplane') {
+        document.getElementById('deplaning_params').classList.remove('hidden');
+    } else {
+        document.getElementById('deplaning_params').classList.add('hidden');
+    }
+});
+// The strategy radio buttons come and go, so listen for changes on the list they're in
+document.getElementById('methods').addEventListener('change', e => {
+    if (e.target.name !== 'method') {
+        return;
+    }
+    if (e.target.value === 'zones') {
+        document.getElementById('zone_params').classList.remove('hidden');
+        previewZones();
+    } else {
+        document.getElementById('zone_params').classList.add('hidden');
+    }
+});
+document.getElementById('strategy_add_button').addEventListener('click', e => {
+    e.preventDefault();
+    addStrategyFromCode();
+});
+document.getElementById('zone_params').addEventListener('input', e => {
+    previewZones();
+});
+document.getElementById('zone_params').addEventListener('change', e => {
+    previewZones();
+});
+document.getElementById('zone_add_button').addEventListener('click', e => {
+    e.preventDefault();
+    const scheme = readZoneScheme();
+    scheme.zones.push({seats: '', order: 'random'});
+    renderZoneScheme(scheme);
+});
+document.getElementById('zone_list').addEventListener('click', e => {
+    if (e.target.dataset.zone === undefined) {
+        return;
+    }
+    // Remove the zone whose button was clicked
+    e.preventDefault();
+    const scheme = readZoneScheme();
+    scheme.zones.splice(e.target.dataset.zone * 1, 1);
+    renderZoneScheme(scheme);
+    previewZones();
+});
+document.getElementById('zone_save_button').addEventListener('click', e => {
+    e.preventDefault();
+    let scheme;
+    try {
+        scheme = getZoneSchemeFromForm();
+    } catch (err) {
+        setStatus(err);
+        return;
+    }
+    if (scheme.name === '') {
+        setStatus('The zone scheme needs a name before it can be saved');
+        return;
+    }
+    const schemes = loadSavedZoneSchemes();
+    schemes[scheme.name] = scheme;
+    if (!storeZoneSchemes(schemes)) {
+        return;
+    }
+    renderSavedZoneSchemes();
+    document.getElementById('zone_saved').value = scheme.name;
+    setStatus(`Saved the zone scheme '${escapeHtml(scheme.name)}'`);
+});
+document.getElementById('zone_load_button').addEventListener('click', e => {
+    e.preventDefault();
+    const scheme = loadSavedZoneSchemes()[document.getElementById('zone_saved').value];
+    if (scheme) {
+        renderZoneScheme(scheme);
+        previewZones();
+    }
+});
+document.getElementById('zone_delete_button').addEventListener('click', e => {
+    e.preventDefault();
+    const schemes = loadSavedZoneSchemes();
+    delete schemes[document.getElementById('zone_saved').value];
+    storeZoneSchemes(schemes);
+    renderSavedZoneSchemes();
+});
+document.getElementById('custom_layout').addEventListener('input', e => {
+    // Wait for the user to stop typing before rebuilding the aircraft
+    clearTimeout(customLayoutTimer);
+    customLayoutTimer = setTimeout(previewCustomLayout, 300);
+});
+document.getElementById('simulation').addEventListener('click', e => {
+    if (document.getElementById('layout_preset').value === 'custom') {
+        toggleCustomLayoutCell(e);
+    }
 });
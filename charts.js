@@ -0,0 +1,217 @@
+/*
+ * This file is part of jsBoard, the JavaScript Aircraft Boarding Simulator
+ *
+ * Simple charts for showing simulation results on a canvas
+ *
+ * Licensed under the AGPLv3 - see the LICENSE file for details
+ */
+
+/** Constants used for laying out charts **/
+const CHART_MARGIN = 40;
+const CHART_FONT = '12px sans-serif';
+const CHART_BAR_COLOR = 'rgba(242, 129, 29, 1.0)';
+const CHART_AXIS_COLOR = 'rgba(80, 80, 80, 1.0)';
+
+/**
+ * Draw a horizontal bar chart, one bar per value, with an optional error bar on each
+ * @param{HTMLCanvasElement} canvas The canvas to draw on
+ * @param{Array} bars A list of {label, value, error} objects; error is optional
+ * @param{String} title A title to draw above the chart
+ * @param{Function} format Turns a value into the text shown next to its bar (default is to show it to one decimal place)
+ */
+function drawBarChart(canvas, bars, title, format) {
+    if (format === undefined) {
+        format = value => value.toFixed(1);
+    }
+    const ctx = canvas.getContext('2d');
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.fillStyle = 'rgba(255, 255, 255, 1.0)';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    if (bars.length === 0) {
+        return;
+    }
+
+    // Leave room on the left for the labels
+    ctx.font = CHART_FONT;
+    const labelWidth = Math.max(...bars.map(b => ctx.measureText(b.label).width)) + 10;
+    const left = CHART_MARGIN / 2 + labelWidth;
+    const width = canvas.width - left - CHART_MARGIN;
+    const top = CHART_MARGIN / 2 + 10;
+    const barHeight = (canvas.height - top - CHART_MARGIN / 2) / bars.length;
+    const maxValue = Math.max(...bars.map(b => b.value + (b.error || 0)));
+    const scale = maxValue > 0 ? width / maxValue : 0;
+
+    ctx.fillStyle = CHART_AXIS_COLOR;
+    ctx.fillText(title, left, top - 10);
+    for (let i = 0; i < bars.length; i++) {
+        const bar = bars[i];
+        const y = top + i * barHeight;
+        ctx.fillStyle = CHART_AXIS_COLOR;
+        ctx.fillText(bar.label, CHART_MARGIN / 2, y + barHeight / 2 + 4);
+        ctx.fillStyle = CHART_BAR_COLOR;
+        ctx.fillRect(left, y + barHeight * 0.15, bar.value * scale, barHeight * 0.7);
+        if (bar.error) {
+            // Draw the error bar as a line with a tick at each end
+            const x1 = left + (bar.value - bar.error) * scale;
+            const x2 = left + (bar.value + bar.error) * scale;
+            const yMid = y + barHeight / 2;
+            ctx.strokeStyle = CHART_AXIS_COLOR;
+            ctx.lineWidth = 1;
+            ctx.beginPath();
+            ctx.moveTo(x1, yMid);
+            ctx.lineTo(x2, yMid);
+            ctx.moveTo(x1, yMid - 4);
+            ctx.lineTo(x1, yMid + 4);
+            ctx.moveTo(x2, yMid - 4);
+            ctx.lineTo(x2, yMid + 4);
+            ctx.stroke();
+        }
+        ctx.fillStyle = CHART_AXIS_COLOR;
+        ctx.fillText(format(bar.value), left + (bar.value + (bar.error || 0)) * scale + 6, y + barHeight / 2 + 4);
+    }
+    // Draw the axis last so it's on top of the bars
+    ctx.strokeStyle = CHART_AXIS_COLOR;
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(left, top);
+    ctx.lineTo(left, top + bars.length * barHeight);
+    ctx.stroke();
+}
+
+/**
+ * Draw a histogram of a list of values
+ * @param{HTMLCanvasElement} canvas The canvas to draw on
+ * @param{Array} values The values to count
+ * @param{Number} binCount The number of bins to sort the values into
+ * @param{String} title A title to draw above the chart
+ */
+function drawHistogram(canvas, values, binCount, title) {
+    const ctx = canvas.getContext('2d');
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.fillStyle = 'rgba(255, 255, 255, 1.0)';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    if (values.length === 0) {
+        return;
+    }
+
+    // Sort the values into bins; if they're all the same then give them one bin of width 1
+    const min = Math.min(...values);
+    const max = Math.max(...values);
+    const binWidth = max > min ? (max - min) / binCount : 1;
+    const counts = new Array(binCount).fill(0);
+    for (const v of values) {
+        counts[Math.min(Math.floor((v - min) / binWidth), binCount - 1)]++;
+    }
+    const maxCount = Math.max(...counts);
+
+    const left = CHART_MARGIN / 2;
+    const top = CHART_MARGIN / 2 + 10;
+    const width = canvas.width - CHART_MARGIN;
+    const height = canvas.height - top - CHART_MARGIN / 2;
+    const barWidth = width / binCount;
+    ctx.font = CHART_FONT;
+    ctx.fillStyle = CHART_AXIS_COLOR;
+    ctx.fillText(title, left, top - 10);
+    ctx.fillStyle = CHART_BAR_COLOR;
+    for (let i = 0; i < binCount; i++) {
+        const barHeight = counts[i] / maxCount * height;
+        ctx.fillRect(left + i * barWidth + 1, top + height - barHeight, barWidth - 2, barHeight);
+    }
+    // Label the ends of the axis with the range of values
+    ctx.strokeStyle = CHART_AXIS_COLOR;
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(left, top + height);
+    ctx.lineTo(left + width, top + height);
+    ctx.stroke();
+    ctx.fillStyle = CHART_AXIS_COLOR;
+    ctx.fillText(min.toFixed(1), left, top + height + 14);
+    const maxLabel = (min + binWidth * binCount).toFixed(1);
+    ctx.fillText(maxLabel, left + width - ctx.measureText(maxLabel).width, top + height + 14);
+}
+
+/**
+ * Draw a line chart of one or more series over the same x axis, with a legend on the right
+ * @param{HTMLCanvasElement} canvas The canvas to draw on
+ * @param{Array} series A list of {label, color, points, dashed} objects, where points is a
+ * list of [x, y] pairs in order of x and dashed is optional
+ * @param{String} title A title to draw above the chart
+ * @param{String} xLabel What the x axis measures
+ * @param{Function} formatX Turns an x value into the text shown at the end of the axis (default is to round it)
+ */
+function drawLineChart(canvas, series, title, xLabel, formatX) {
+    if (formatX === undefined) {
+        formatX = x => x.toFixed(0);
+    }
+    const ctx = canvas.getContext('2d');
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.fillStyle = 'rgba(255, 255, 255, 1.0)';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    const drawn = series.filter(s => s.points.length > 0);
+    if (drawn.length === 0) {
+        return;
+    }
+
+    // Leave room on the right for the legend
+    ctx.font = CHART_FONT;
+    const legendWidth = Math.max(...drawn.map(s => ctx.measureText(s.label).width)) + 30;
+    const left = CHART_MARGIN;
+    const top = CHART_MARGIN / 2 + 10;
+    const width = canvas.width - left - CHART_MARGIN / 2 - legendWidth;
+    const height = canvas.height - top - CHART_MARGIN;
+    const maxX = Math.max(...drawn.map(s => s.points[s.points.length - 1][0]));
+    const maxY = Math.max(...drawn.map(s => s.points.reduce((max, p) => Math.max(max, p[1]), 0)));
+    const scaleX = maxX > 0 ? width / maxX : 0;
+    const scaleY = maxY > 0 ? height / maxY : 0;
+
+    ctx.fillStyle = CHART_AXIS_COLOR;
+    ctx.fillText(title, left, top - 10);
+    ctx.lineWidth = 2;
+    for (const s of drawn) {
+        // There's no point drawing more than one point per pixel
+        const stride = Math.max(1, Math.floor(s.points.length / width));
+        ctx.strokeStyle = s.color;
+        ctx.setLineDash(s.dashed ? [6, 4] : []);
+        ctx.beginPath();
+        ctx.moveTo(left + s.points[0][0] * scaleX, top + height - s.points[0][1] * scaleY);
+        for (let i = stride; i < s.points.length; i += stride) {
+            ctx.lineTo(left + s.points[i][0] * scaleX, top + height - s.points[i][1] * scaleY);
+        }
+        const last = s.points[s.points.length - 1];
+        ctx.lineTo(left + last[0] * scaleX, top + height - last[1] * scaleY);
+        ctx.stroke();
+    }
+    ctx.setLineDash([]);
+
+    // Draw the axes and label the ends with the range of values
+    ctx.strokeStyle = CHART_AXIS_COLOR;
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(left, top);
+    ctx.lineTo(left, top + height);
+    ctx.lineTo(left + width, top + height);
+    ctx.stroke();
+    ctx.fillStyle = CHART_AXIS_COLOR;
+    ctx.fillText(maxY.toFixed(0), left - ctx.measureText(maxY.toFixed(0)).width - 4, top + 4);
+    ctx.fillText('0', left - ctx.measureText('0').width - 4, top + height + 4);
+    ctx.fillText('0', left, top + height + 14);
+    const maxLabel = formatX(maxX);
+    ctx.fillText(maxLabel, left + width - ctx.measureText(maxLabel).width, top + height + 14);
+    ctx.fillText(xLabel, left + (width - ctx.measureText(xLabel).width) / 2, top + height + 14);
+
+    // And the legend
+    const legendLeft = left + width + 20;
+    drawn.forEach((s, i) => {
+        const y = top + i * 18;
+        ctx.strokeStyle = s.color;
+        ctx.lineWidth = 2;
+        ctx.setLineDash(s.dashed ? [6, 4] : []);
+        ctx.beginPath();
+        ctx.moveTo(legendLeft - 14, y);
+        ctx.lineTo(legendLeft - 2, y);
+        ctx.stroke();
+        ctx.fillStyle = CHART_AXIS_COLOR;
+        ctx.fillText(s.label, legendLeft + 2, y + 4);
+    });
+    ctx.setLineDash([]);
+}
@@ -0,0 +1,3490 @@
+/*
+ * This file is part of jsBoard, the JavaScript Aircraft Boarding Simulator
+ *
+ * The simulation engine: everything in here runs without a browser, so it can be
+ * loaded by the page or required from Node to script experiments.
+ *
+ * Licensed under the AGPLv3 - see the LICENSE file for details
+ */
+
+/** Constants used for rendering or setting up the simulation **/
+const AIRCRAFT_WALL_HEIGHT = 15;
+const AIRCRAFT_PADDING = 10;
+const CELLSIZE = 64;
+// The time (in milliseconds) it takes one seated passenger to get up and let somebody past, or to sit back down
+const SEAT_SHUFFLE_TIME = 5000;
+// Getting a bag down out of the overhead bin is quicker than lifting it up and fitting it in
+const BAG_RETRIEVAL_FACTOR = 0.5;
+// How much longer it takes to stow a bag in a full overhead bin than in an empty one, as a fraction of the usual time
+const BIN_CROWDING_FACTOR = 1.0;
+// The biggest seat layouts we'll build an aircraft from, in rows and in cells (seats, aisles and gaps)
+const MAX_LAYOUT_ROWS = 300;
+const MAX_LAYOUT_CELLS = 6000;
+// The longest time (in seconds) a luggage distribution can take to stow one bag, both as a
+// limit on its parameters and on every time drawn from it
+const MAX_STOWING_TIME = 600;
+// The simulated clock: how much time passes each tick (in seconds), how long one cell of
+// the aisle is (in metres, about one seat pitch) and how fast a passenger walks down an
+// empty aisle (in metres per second). The defaults work out to one cell per tick.
+const DEFAULT_SECONDS_PER_TICK = 0.5;
+const DEFAULT_CELL_LENGTH = 0.8;
+const DEFAULT_WALKING_SPEED = 1.6;
+
+// How often passengers carry a given number of carry-on bags
+const DEFAULT_BAG_WEIGHTS = {
+    0: 0.2,
+    1: 0.6,
+    2: 0.2,
+};
+
+// The kinds of passengers we know how to simulate: speed is how fast they walk as a
+// fraction of the walking speed of the run (see Simulation), stowFactor scales the time it takes them to stow each bag, bags is how
+// often they carry a given number of carry-on bags, and share is how common they are
+// on a typical flight (in percent)
+const PASSENGER_PROFILES = {
+    standard: {
+        label: 'Standard',
+        speed: 1.0,
+        stowFactor: 1.0,
+        bags: DEFAULT_BAG_WEIGHTS,
+        share: 60,
+    },
+    business: {
+        label: 'Business traveller',
+        speed: 1.0,
+        stowFactor: 0.8,
+        bags: {0: 0.1, 1: 0.8, 2: 0.1},
+        share: 20,
+    },
+    noBags: {
+        label: 'No carry-on',
+        speed: 1.0,
+        stowFactor: 1.0,
+        bags: {0: 1},
+        share: 5,
+    },
+    elderly: {
+        label: 'Elderly or reduced mobility',
+        speed: 0.5,
+        stowFactor: 1.5,
+        bags: {0: 0.3, 1: 0.6, 2: 0.1},
+        share: 8,
+    },
+    children: {
+        label: 'Travelling with small children',
+        speed: 0.6,
+        stowFactor: 1.4,
+        bags: {1: 0.3, 2: 0.5, 3: 0.2},
+        share: 7,
+    },
+};
+
+// How often a travel party has a given number of people in it
+const PARTY_SIZE_WEIGHTS = {
+    2: 0.6,
+    3: 0.25,
+    4: 0.15,
+};
+
+// Row specs can say how many bags fit in the overhead bins above each of their aisle
+// cells (bins); if they don't then the bins in those rows never fill up
+const SEAT_LAYOUT_PRESETS = {
+    'a321': [
+        {
+            repeat: 5,
+            layout: ' SSASS ',
+            bins: 4,
+        },
+        {
+            repeat: 3,
+            layout: 'SSSASSS',
+            bins: 6,
+        },
+        {
+            repeat: 1,
+            layout: 'SS+ASSS',
+            bins: 6,
+        },
+        {
+            repeat: 11,
+            layout: 'SSSASSS',
+            bins: 6,
+        },
+        {
+            repeat: 1,
+            layout: 'SSSA+++',
+            bins: 6,
+        },
+        {
+            repeat: 1,
+            layout: '+++ASS+',
+            bins: 6,
+        },
+        {
+            repeat: 13,
+            layout: 'SSSASSS',
+            bins: 6,
+        },
+        {
+            repeat: 1,
+            layout: '   D   ',
+            bins: 0,
+        },
+    ],
+    'b757300': [
+        {
+            repeat: 6,
+            layout: ' SSASS ',
+            bins: 4,
+        },
+        {
+            repeat: 1,
+            layout: '+SSA+++',
+            bins: 6,
+        },
+        {
+            repeat: 14,
+            layout: 'SSSASSS',
+            bins: 6,
+        },
+        {
+            repeat: 1,
+            layout: '+SSASS+',
+            bins: 6,
+        },
+        {
+            repeat: 21,
+            layout: 'SSSASSS',
+            bins: 6,
+        },
+        {
+            repeat: 1,
+            layout: '   D   ',
+            bins: 0,
+        },
+    ],
+    'b787': [
+        {
+            repeat: 1,
+            layout: '   AAAAA   ',
+            bins: 0,
+        },
+        {
+            repeat: 14,
+            layout: 'SSSASSSASSS',
+            bins: 5,
+        },
+        {
+            repeat: 1,
+            layout: '   DAAAA   ',
+            bins: 0,
+        },
+        {
+            repeat: 16,
+            layout: 'SSSASSSASSS',
+            bins: 5,
+        },
+        {
+            repeat: 2,
+            layout: ' SSASSSASS ',
+            bins: 4,
+        },
+        {
+            repeat: 1,
+            layout: '   DAAAA   ',
+            bins: 0,
+        },
+    ],
+    'b777300er': [
+        {
+            repeat: 1,
+            layout: '   AAAAAA   ',
+            bins: 0,
+        },
+        {
+            repeat: 12,
+            layout: 'SSSASSSSASSS',
+            bins: 5,
+        },
+        {
+            repeat: 1,
+            layout: '   DAAAAA   ',
+            bins: 0,
+        },
+        {
+            repeat: 20,
+            layout: 'SSSASSSSASSS',
+            bins: 5,
+        },
+        {
+            repeat: 3,
+            layout: ' SSASSSSASS ',
+            bins: 5,
+        },
+        {
+            repeat: 1,
+            layout: '   DAAAAA   ',
+            bins: 0,
+        },
+    ],
+    'crj700': [
+        {
+            repeat: 3,
+            layout: 'SSAS ',
+            bins: 2,
+        },
+        {
+            repeat: 15,
+            layout: 'SSASS',
+            bins: 3,
+        },
+    ],
+}
+
+
+/** We use a few datatypes to make the actual simulation code a little bit neater **/
+
+/**
+ * A division of a simulation grid that knows where it is, what's in it, and what its neighbors are
+ */
+class Cell {
+    /**
+     * @param{Number} x The x coordinate of this grid cell
+     * @param{Number} y The y coordinate of this grid cell
+     */
+    constructor(x, y) {
+        this.x = x;
+        this.y = y;
+        this.contents = new Set();
+        this.up = null;
+        this.down = null;
+        this.left = null;
+        this.right = null;
+        // How many bags fit in the overhead bin above this cell, and how many are in it
+        this.binCapacity = Infinity;
+        this.binLoad = 0;
+        // How many ticks somebody was in this cell, and how many ticks somebody in it
+        // was stuck waiting to move on (see Passenger.stepTo)
+        this.occupiedTicks = 0;
+        this.blockedTicks = 0;
+    }
+
+    /**
+     * Check to see whether or not this cell contains anything
+     * @return {Boolean} true if there's nothing in the cell and false if it contains something
+     */
+    isEmpty() {
+        return this.contents.size === 0;
+    }
+
+    /**
+     * Render this cell and its contents to the given 2d canvas context
+     * @param ctx a 2d canvas context
+     */
+    render(ctx) {
+        ctx.fillStyle = 'rgba(220, 220, 220, 1.0)';
+        ctx.fillRect(this.x, this.y, CELLSIZE, CELLSIZE);
+        this.renderBin(ctx);
+        this.renderContents(ctx);
+    }
+
+    /**
+     * Check how much room is left in the overhead bin above this cell
+     * @return{Number} The number of bags that still fit
+     */
+    binSpace() {
+        return this.binCapacity - this.binLoad;
+    }
+
+    /**
+     * Show how full the overhead bin above this cell is as a bar along the top of the cell
+     * @param ctx a 2d canvas context
+     */
+    renderBin(ctx) {
+        if (!isFinite(this.binCapacity) || this.binCapacity === 0) {
+            return;
+        }
+        const fill = Math.min(this.binLoad / this.binCapacity, 1);
+        ctx.fillStyle = 'rgba(160, 160, 160, 1.0)';
+        ctx.fillRect(this.x, this.y, CELLSIZE, CELLSIZE / 8);
+        ctx.fillStyle = fill < 1 ? 'rgba(90, 140, 200, 1.0)' : 'rgba(200, 70, 60, 1.0)';
+        ctx.fillRect(this.x, this.y, CELLSIZE * fill, CELLSIZE / 8);
+    }
+
+    /**
+     * Render the contents of this cell given 2d canvas context
+     * @param ctx a 2d canvas context
+     */
+    renderContents(ctx) {
+        // Stagger the contents a little so we can see when more than one thing is in a cell
+        let offset = 0;
+        for (const c of this.contents) {
+            c.render(ctx, this.x + offset, this.y + offset);
+            offset += CELLSIZE / 8;
+        }
+    }
+
+    /**
+     * Create a string representation of this grid cell
+     */
+    toString() {
+        return `${this.x}, ${this.y}: ` + Array.from(this.contents).join();
+    }
+}
+
+/**
+ * Some object that can be rendered to a canvas
+ */
+class Renderable {
+    /**
+     * @param{String} color The color to render this object - picked at random if it's not given
+     * @param{Function} rng The random number generator to pick the color with - default is Math.random
+     */
+    constructor(color, rng) {
+        if (color === undefined) {
+            if (rng === undefined) {
+                rng = Math.random;
+            }
+            const r = Math.floor(rng() * 256);
+            const g = Math.floor(rng() * 256);
+            const b = Math.floor(rng() * 256);
+            this.color = `rgba(${r}, ${g}, ${b}, 0.6)`;
+        } else {
+            this.color = color;
+        }
+    }
+    /**
+     * Render this object to the given 2d rendering context at the given x, y position
+     * @param ctx The 2d context to use
+     * @param{Number} x The x-coordinate to render at
+     * @param{Number} y The y-coordinate to render at
+     */
+    render(ctx, x, y) {
+        ctx.fillStyle = this.color;
+        ctx.fillRect(x + CELLSIZE/4, y + CELLSIZE/4, CELLSIZE/2, CELLSIZE/2);
+    }
+}
+
+/**
+ * A renderable object that makes some decision about what to do on each step of the simulation
+ */
+class Agent extends Renderable {
+    constructor(startingCell, color, rng) {
+        super(color, rng);
+        this.cell = startingCell;
+        if (startingCell) {
+            startingCell.contents.add(this);
+        }
+        this.state = null;
+        this.timeToTransition = 0;
+    }
+
+    /**
+     * Re-initialize this agent on the given cell in the given state
+     * @param{Cell} cell The cell to start on
+     * @param{String} state The new state to start in
+     */
+    initializeAt(cell, state) {
+        this.cell = cell;
+        this.cell.contents.add(this);
+        this.state = state;
+    }
+
+    /**
+     * Move this agent from its current cell to a new one, updating the contents of both cells involved
+     * @param{Cell} newCell The cell to move to
+     */
+    move(newCell) {
+        // Move to a new cell
+        this.cell.contents.delete(this);
+        this.cell = newCell;
+        newCell.contents.add(this);
+    }
+
+    /**
+     * Perform whatever logic this agent implements during each simulation tick
+     * @param{Number} deltaT The amount of time that's passed since the last simulation tick
+     */
+    simulate(deltaT) {
+        // By default an agent does nothing
+        return;
+    }
+}
+
+/**
+ * A special type of simulation cell that passengers can sit in
+ */
+class Seat extends Cell {
+    constructor(x, y, row, col) {
+        super(x, y);
+        this.row = row;
+        this.col = col;
+        // How to get to this seat from the aisle (see findAisle); filled in once the whole grid is built
+        this.aisle = null;
+        this.colorA = 'rgba(242, 129, 29, 1.0)';
+        this.colorB = 'rgba(242, 169, 34, 1.0)';
+    }
+    render(ctx) {
+        // Draw the base of the seat
+        ctx.fillStyle = this.colorB;
+        ctx.fillRect(this.x + 2, this.y + 6, CELLSIZE-12, CELLSIZE-12);
+        // Draw the other parts
+        ctx.fillStyle = this.colorA;
+        // Armrests
+        ctx.fillRect(this.x + 7, this.y+1, CELLSIZE - 18, 10);
+        ctx.fillRect(this.x + 7, this.y+CELLSIZE-11, CELLSIZE - 18, 10);
+        // Backrest
+        ctx.fillRect(this.x + CELLSIZE - 10, this.y + 3, 9, CELLSIZE - 6);
+        // Label the seat
+        const fontSize = CELLSIZE / 3;
+        const fontYPos = this.y + CELLSIZE  - fontSize * 1.1;
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.9)';
+        ctx.font = `${fontSize}px sans-serif`;
+        ctx.fillText(this.row + this.col, this.x + 6, fontYPos);
+        this.renderContents(ctx);
+    }
+    toString() {
+        return this.row + this.col;
+    }
+
+    /**
+     * Find the aisle this seat is reached from by walking across the row
+     * @return{Object|null} The aisle cell, the direction to walk from the aisle to
+     * the seat ('up' or 'down'), and the number of cells between them (1 for an aisle
+     * seat); or null if the seat can't be reached from an aisle
+     */
+    findAisle() {
+        let best = null;
+        for (const [toAisle, fromAisle] of [['down', 'up'], ['up', 'down']]) {
+            let cell = this[toAisle];
+            let distance = 1;
+            while (cell instanceof Seat) {
+                cell = cell[toAisle];
+                distance++;
+            }
+            if (cell && (best === null || distance < best.distance)) {
+                best = {
+                    cell: cell,
+                    direction: fromAisle,
+                    distance: distance,
+                };
+            }
+        }
+        return best;
+    }
+
+    /**
+     * Find the other seats in this seat's block, i.e. the seats you can get to without crossing an aisle
+     * @return{Array} The seats in the block in order from top to bottom, including this one
+     */
+    findBlock() {
+        let top = this;
+        while (top.up instanceof Seat) {
+            top = top.up;
+        }
+        const block = [];
+        for (let seat = top; seat instanceof Seat; seat = seat.down) {
+            block.push(seat);
+        }
+        return block;
+    }
+}
+
+/**
+ * A special type of aisle cell where passengers get on (and off) the aircraft
+ */
+class Door extends Cell {
+    render(ctx) {
+        ctx.fillStyle = 'rgba(150, 190, 230, 1.0)';
+        ctx.fillRect(this.x, this.y, CELLSIZE, CELLSIZE);
+        this.renderContents(ctx);
+    }
+}
+
+const State = Object.freeze({
+    Seated: 'seated',
+    Searching: 'searching',
+    LoadingUp: 'loading_up',
+    LoadingDown: 'loading_down',
+    WaitingForRow: 'waiting_for_row',
+    Yielding: 'yielding',
+    Returning: 'returning',
+    // Looking for room in the overhead bins further along the aisle
+    FindingBin: 'finding_bin',
+    StowingAway: 'stowing_away',
+    ReturningToRow: 'returning_to_row',
+    // Deplaning
+    LeavingSeat: 'leaving_seat',
+    Retrieving: 'retrieving',
+    Exiting: 'exiting',
+    Deplaned: 'deplaned',
+});
+
+
+class Passenger extends Agent {
+    /**
+     * @param{Cell} cell The cell to start on (null if the passenger hasn't boarded yet)
+     * @param{Seat} targetSeat The seat this passenger is trying to get to
+     * @param{Function} luggageDistribution A function returning the time (in milliseconds) it takes to stow one bag
+     * @param{String} color The color to render this passenger
+     * @param{Number} bags The number of carry-on bags this passenger has to stow - default is 1
+     * @param{String} profile The name of this passenger's profile in PASSENGER_PROFILES - default is 'standard'
+     */
+    constructor(cell, targetSeat, luggageDistribution, color, bags, profile) {
+        super(cell, color);
+        this.targetSeat = targetSeat;
+        this.luggageDistribution = luggageDistribution;
+        this.bags = bags === undefined ? 1 : bags;
+        this.profile = profile === undefined ? 'standard' : profile;
+        // The travel party this passenger belongs to, if any (see assignParties)
+        this.party = null;
+        // The door this passenger boards (or leaves) through
+        this.door = null;
+        // Whether this passenger has a tight connection to make after landing
+        this.tightConnection = false;
+        // Where our bags went if there wasn't room above our row, how long it'll take to
+        // stow them there, and the time we've lost to full bins so far (in milliseconds)
+        this.binCell = null;
+        this.binStowingTime = 0;
+        this.binDelay = 0;
+        // The bags we had to check instead of carrying on (see BAG_POLICIES)
+        this.checkedBags = 0;
+        this.speed = PASSENGER_PROFILES[this.profile].speed;
+        this.stowFactor = PASSENGER_PROFILES[this.profile].stowFactor;
+        // How far we've got towards the next cell; slow walkers need a few ticks per cell
+        this.stride = 0;
+        // The number of ticks we've spent ready to step into the next cell but unable
+        // to because somebody was in it
+        this.blockedTicks = 0;
+        // ... and how many of those ticks the person in the way was stowing their bags
+        this.stowWaitTicks = 0;
+        // The seated passengers who had to get up to let us into our row and the
+        // loading state we go back to once they're out of the way
+        this.blockers = [];
+        this.resumeState = null;
+    }
+
+    /**
+     * Figure out how long it will take this passenger to stow all of their bags
+     * @return{Number} The stowing time in milliseconds
+     */
+    stowingTime() {
+        let time = 0;
+        for (let i = 0; i < this.bags; i++) {
+            time += this.luggageDistribution();
+        }
+        return time * this.stowFactor;
+    }
+
+    /**
+     * Check whether we're standing in the aisle putting our bags away
+     * @return{Boolean} true if we're stowing bags (over our row or further along the aisle)
+     */
+    isStowing() {
+        if (this.state === State.LoadingUp || this.state === State.LoadingDown) {
+            // Once the bags are away we're just waiting to get into the row
+            return this.timeToTransition > 0;
+        }
+        return this.state === State.StowingAway;
+    }
+
+    /**
+     * Hand over some of our carry-on bags to be checked
+     * @param{Number} count The number of bags to check; we can't check fewer than none or more than we have
+     * @return{Number} The number of bags checked
+     */
+    checkBags(count) {
+        count = Math.min(Math.max(count, 0), this.bags);
+        this.bags -= count;
+        this.checkedBags += count;
+        return count;
+    }
+
+    /**
+     * Put our bags in the overhead bin above the given cell and work out how long it
+     * takes, which gets longer as the bin fills up
+     * @param{Cell} bin The cell with the bin we're using
+     * @return{Number} The stowing time in milliseconds
+     */
+    stowBags(bin) {
+        let time = 0;
+        for (let i = 0; i < this.bags; i++) {
+            const baseTime = this.luggageDistribution() * this.stowFactor;
+            const fill = isFinite(bin.binCapacity) && bin.binCapacity > 0 ? Math.min(bin.binLoad / bin.binCapacity, 1) : 0;
+            const crowding = baseTime * fill * BIN_CROWDING_FACTOR;
+            this.binDelay += crowding;
+            time += baseTime + crowding;
+            bin.binLoad++;
+        }
+        return time;
+    }
+
+    /**
+     * Pick the overhead bin to put our bags in: the one above our row if there's room,
+     * otherwise the nearest one with room further along the aisle, otherwise the nearest
+     * one with room back the way we came
+     * @return{Cell} The aisle cell under the bin; our row's if there's no room anywhere
+     */
+    findBin() {
+        const home = this.cell;
+        if (this.bags === 0 || home.binSpace() >= this.bags) {
+            return home;
+        }
+        const onward = this.door === null || this.door.x <= home.x ? 'right' : 'left';
+        const back = onward === 'right' ? 'left' : 'right';
+        for (const direction of [onward, back]) {
+            let cell = home[direction];
+            while (cell) {
+                if (cell.binSpace() >= this.bags) {
+                    return cell;
+                }
+                cell = cell[direction];
+            }
+        }
+        return home;
+    }
+
+    /**
+     * Figure out how long it will take this passenger to get all of their bags back down
+     * @return{Number} The retrieval time in milliseconds
+     */
+    retrievalTime() {
+        return this.stowingTime() * BAG_RETRIEVAL_FACTOR;
+    }
+
+    /**
+     * Try to step into the given cell, as long as there's nobody in it and we've
+     * been walking long enough to get there
+     * @param{Cell} cell The cell we want to step into
+     * @return{Boolean} true if we moved and false if we're still on our way
+     */
+    stepTo(cell) {
+        // Don't build up extra distance while we're stuck behind somebody
+        this.stride = Math.min(this.stride + this.speed, 1);
+        if (this.stride < 1) {
+            return false;
+        }
+        if (!cell.isEmpty()) {
+            this.blockedTicks++;
+            this.cell.blockedTicks++;
+            if (Array.from(cell.contents).some(c => c.isStowing())) {
+                this.stowWaitTicks++;
+            }
+            return false;
+        }
+        this.stride -= 1;
+        this.move(cell);
+        return true;
+    }
+
+    /**
+     * Squeeze past whoever is in the given cell, as long as we've been walking long enough to get there
+     * @param{Cell} cell The cell we want to step into
+     * @return{Boolean} true if we moved and false if we're still on our way
+     */
+    squeezeTo(cell) {
+        this.stride = Math.min(this.stride + this.speed, 1);
+        if (this.stride < 1) {
+            return false;
+        }
+        this.stride -= 1;
+        this.move(cell);
+        return true;
+    }
+
+    /**
+     * Walk one cell along the aisle towards a bin or back to our row, squeezing past
+     * anybody in the way (they could be walking either way, and if we waited for a gap
+     * we might wait forever)
+     * @param{Cell} target The aisle cell we're walking to
+     */
+    walkAlongAisle(target) {
+        const next = this.nextCellTowards(target);
+        if (next) {
+            this.squeezeTo(next);
+        }
+    }
+
+    /**
+     * Work out which cell to walk into next on our way to the given aisle cell: if
+     * it's in a different aisle we cross over as soon as there's a cross-aisle to
+     * do it in, otherwise we walk along the aisle we're in
+     * @param{Cell} target The aisle cell we're trying to get to
+     * @return{Cell|null} The next cell, or null if there's no way to get any closer
+     */
+    nextCellTowards(target) {
+        if (target.y !== this.cell.y) {
+            const across = target.y < this.cell.y ? this.cell.up : this.cell.down;
+            if (across && !(across instanceof Seat)) {
+                return across;
+            }
+        }
+        if (target.x > this.cell.x) {
+            return this.cell.right;
+        } else if (target.x < this.cell.x) {
+            return this.cell.left;
+        }
+        return null;
+    }
+
+    /**
+     * Find the passengers sitting between the aisle and our seat
+     * @param{String} direction Which way our seat is from the aisle ('up' or 'down')
+     * @return{Array} The seated passengers in our way, starting with the one closest to the aisle
+     */
+    findBlockers(direction) {
+        const blockers = [];
+        let cell = this.cell[direction];
+        while (cell && cell !== this.targetSeat) {
+            for (const c of cell.contents) {
+                if (c.state === State.Seated) {
+                    blockers.push(c);
+                }
+            }
+            cell = cell[direction];
+        }
+        return blockers;
+    }
+
+    /**
+     * Get up and stand in the aisle so somebody else can get past
+     * @param{Cell} aisle The aisle cell to stand in
+     */
+    yieldSeat(aisle) {
+        this.move(aisle);
+        this.state = State.Yielding;
+    }
+
+    /**
+     * Move one cell further into our row, asking anybody seated in the way to get up first
+     * @param{String} direction Which way our seat is from the aisle ('up' or 'down')
+     */
+    moveIntoRow(direction) {
+        if (!(this.cell instanceof Seat)) {
+            // We're still in the aisle, so this is our last chance to notice that
+            // there are people sitting between us and our seat
+            const blockers = this.findBlockers(direction);
+            if (blockers.length > 0) {
+                for (const b of blockers) {
+                    b.yieldSeat(this.cell);
+                }
+                // Somebody we already asked to get up may have sat back down before we
+                // got going, so keep track of everybody we've displaced, closest to the aisle first
+                const aisleY = this.cell.y;
+                const displaced = this.blockers.concat(blockers.filter(b => !this.blockers.includes(b)));
+                this.blockers = displaced.sort((a, b) => Math.abs(a.targetSeat.y - aisleY) - Math.abs(b.targetSeat.y - aisleY));
+                this.resumeState = this.state;
+                this.state = State.WaitingForRow;
+                this.timeToTransition = blockers.length * SEAT_SHUFFLE_TIME;
+                return;
+            }
+        }
+        if (!this.stepTo(this.cell[direction])) {
+            return;
+        }
+        if (this.cell === this.targetSeat) {
+            this.state = State.Seated;
+            // Let everybody we displaced sit back down, starting with the one whose
+            // seat is closest to ours since they're the first one who can get past
+            const returning = this.blockers.slice().reverse();
+            for (let i = 0; i < returning.length; i++) {
+                returning[i].state = State.Returning;
+                returning[i].timeToTransition = (i + 1) * SEAT_SHUFFLE_TIME;
+            }
+            this.blockers = [];
+        }
+    }
+
+    /**
+     * Get up and start making our way out of the aircraft
+     */
+    standUp() {
+        this.state = State.LeavingSeat;
+    }
+
+    /**
+     * Move one cell closer to the aisle, asking anybody still sitting in the way to
+     * get going too - once we reach the aisle we start getting our bags down
+     */
+    leaveRow() {
+        const aisle = this.targetSeat.aisle;
+        const next = this.cell[aisle.direction === 'up' ? 'down' : 'up'];
+        for (const c of next.contents) {
+            if (c.state === State.Seated) {
+                c.standUp();
+            }
+        }
+        if (this.stepTo(next) && next === aisle.cell) {
+            this.state = State.Retrieving;
+            this.timeToTransition = this.retrievalTime();
+            next.binLoad -= this.bags;
+        }
+    }
+
+    /**
+     * Walk one cell closer to our door, or step off the aircraft if we're already there
+     */
+    exit() {
+        if (this.cell === this.door) {
+            this.cell.contents.delete(this);
+            this.cell = null;
+            this.state = State.Deplaned;
+            return;
+        }
+        const next = this.nextCellTowards(this.door);
+        if (next) {
+            this.stepTo(next);
+        } else {
+            console.error('Passenger failed to find the door: ' + this.targetSeat.row + this.targetSeat.col);
+        }
+    }
+
+    simulate(deltaT) {
+        // We can model the behavior of passengers surprisingly accurately with just a little state machine
+        if (this.state === State.Seated || this.state === State.Yielding || this.state === State.Deplaned || this.state === null) {
+            // If we're already in our seat, waiting in the aisle for somebody to
+            // get past, off the aircraft, or not in the simulation, don't do anything
+            return;
+        } else if (this.state === State.Searching) {
+            // If we're looking for our seat then check to see if we've reached its row,
+            // if we haven't then move to the next cell
+            const aisle = this.targetSeat.aisle;
+            if (this.cell === aisle.cell) {
+                const bin = this.findBin();
+                if (bin === this.cell) {
+                    this.state = aisle.direction === 'up' ? State.LoadingUp : State.LoadingDown;
+                    this.timeToTransition = this.stowBags(bin);
+                } else {
+                    // No room above our row, so we'll have to go and find some
+                    this.binCell = bin;
+                    this.binStowingTime = this.stowBags(bin);
+                    this.state = State.FindingBin;
+                }
+            } else {
+                const next = this.nextCellTowards(aisle.cell);
+                if (next) {
+                    this.stepTo(next);
+                } else {
+                    console.error('Passenger failed to find seat: ' + this.targetSeat.row + this.targetSeat.col);
+                }
+            }
+        } else if (this.state === State.LoadingUp) {
+            this.timeToTransition -= deltaT;
+            if (this.timeToTransition <= 0) {
+                this.moveIntoRow('up');
+            }
+        } else if (this.state === State.LoadingDown) {
+            this.timeToTransition -= deltaT;
+            if (this.timeToTransition <= 0) {
+                this.moveIntoRow('down');
+            }
+        } else if (this.state === State.WaitingForRow) {
+            // Wait for the people in our row to get out into the aisle
+            this.timeToTransition -= deltaT;
+            if (this.timeToTransition <= 0) {
+                this.state = this.resumeState;
+            }
+        } else if (this.state === State.Returning) {
+            // Wait for the passenger we let past to get settled, then sit back down
+            this.timeToTransition -= deltaT;
+            if (this.timeToTransition <= 0) {
+                this.move(this.targetSeat);
+                this.state = State.Seated;
+            }
+        } else if (this.state === State.FindingBin) {
+            this.binDelay += deltaT;
+            if (this.cell === this.binCell) {
+                this.state = State.StowingAway;
+                this.timeToTransition = this.binStowingTime;
+            } else {
+                this.walkAlongAisle(this.binCell);
+            }
+        } else if (this.state === State.StowingAway) {
+            this.timeToTransition -= deltaT;
+            if (this.timeToTransition <= 0) {
+                this.state = State.ReturningToRow;
+            }
+        } else if (this.state === State.ReturningToRow) {
+            this.binDelay += deltaT;
+            const aisle = this.targetSeat.aisle;
+            if (this.cell === aisle.cell) {
+                // Our bags are already stowed, so we can go straight to our seat
+                this.state = aisle.direction === 'up' ? State.LoadingUp : State.LoadingDown;
+                this.timeToTransition = 0;
+            } else {
+                this.walkAlongAisle(aisle.cell);
+            }
+        } else if (this.state === State.LeavingSeat) {
+            this.leaveRow();
+        } else if (this.state === State.Retrieving) {
+            // Stand in the aisle (blocking it) until we've got our bags down
+            this.timeToTransition -= deltaT;
+            if (this.timeToTransition <= 0) {
+                this.state = State.Exiting;
+            }
+        } else if (this.state === State.Exiting) {
+            this.exit();
+        } else {
+            console.error('Unhandled state: ' + this.state);
+        }
+    }
+    toString() {
+        return this.targetSeat.toString() + ' [' + this.state + ']';
+    }
+}
+
+/**
+ * The thing we're trying to load up with passengers - keeps track of the simulation
+ * grid and gets passengers started on their simulated trip to their seats
+ */
+class Aircraft {
+    constructor(startingCell) {
+        this.grid = [];
+        this.startingCell = startingCell;
+        this.addCell(startingCell);
+        this.seats = [];
+        // The starting cell is always the front door; any other doors are added from front to back
+        this.doors = [startingCell];
+        // We cache the bounding box of the grid to make rendering faster later
+        this.x = 0;
+        this.y = 0;
+        this.width = 0;
+        this.height = 0;
+        // Keep track of which rows and columns are present
+        this.rows = new Set();
+        this.cols = new Set();
+    }
+
+    /**
+     * Add a cell to the simulation grid
+     * @param{Cell} newCell The cell to add to the grid
+     */
+    addCell(newCell) {
+        this.grid.push(newCell);
+        if (newCell.row) {
+            this.rows.add(newCell.row);
+        }
+        if (newCell.col) {
+            this.cols.add(newCell.col);
+        }
+        this.updateBoundingBox();
+    }
+
+    get rowCount() {
+        return this.rows.size;
+    }
+
+    get colCount() {
+        return this.cols.size;
+    }
+
+    /**
+     * The number of bags the overhead bins hold between them
+     * @return{Number} The total capacity of the bins, or Infinity if none of the rows say how many bags fit
+     */
+    get binCapacity() {
+        const bins = this.grid.filter(cell => isFinite(cell.binCapacity));
+        return bins.length === 0 ? Infinity : bins.reduce((total, cell) => total + cell.binCapacity, 0);
+    }
+
+    /**
+     * Add a seat to the simulation grid - we track these separately from other cells since it makes it easier to look them up and count them
+     * @param{Seat} newSeat The seat to add to the grid
+     */
+    addSeat(newSeat) {
+        this.seats.push(newSeat);
+    }
+
+    /**
+     * Add a door to the simulation grid (the cell itself is added with addCell)
+     * @param{Door} newDoor The door to add
+     */
+    addDoor(newDoor) {
+        this.doors.push(newDoor);
+    }
+
+    /**
+     * Put a passenger on the plane so they can start looking for their seat
+     * @param{Passenger} passenger A new passenger starting their adventure
+     * @param{Cell} door The door they board through - default is the starting cell
+     */
+    board(passenger, door) {
+        if (door === undefined) {
+            door = this.startingCell;
+        }
+        if (door.isEmpty()) {
+            passenger.initializeAt(door, State.Searching);
+        } else {
+            throw 'Cannot board passenger ' + passenger + '; door is full!';
+        }
+    }
+
+    /**
+     * Search the seat list for a seat matching the given ID (e.g. "25H" or "12F")
+     * @param{String} seatId The identifier of the seat we want to find
+     * @return{Seat|null} The seat if we could find it or null if we couldn't
+     */
+    findSeat(seatId) {
+        const match = seatId.match(/([0-9]+)([A-Z]+)/);
+        if (!match) {
+            return null;
+        }
+        const targetRow = match[1];
+        const targetCol = match[2];
+        for (const seat of this.seats) {
+            if (seat.row == targetRow && seat.col == targetCol) {
+                return seat;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Re-compute the bounding box for the aircraft
+     */
+    updateBoundingBox() {
+        let x1 = 0;
+        let y1 = 0;
+        let x2 = 0;
+        let y2 = 0;
+        for (const cell of this.grid) {
+            if (cell.x < x1) {
+                x1 = cell.x;
+            } else if (cell.x > x2) {
+                x2 = cell.x;
+            }
+            if (cell.y < y1) {
+                y1 = cell.y;
+            } else if (cell.y > y2) {
+                y2 = cell.y;
+            }
+        }
+        this.x = x1;
+        this.y = y1;
+
+        this.height = y2 - this.y + CELLSIZE;
+        this.width = x2 - this.x + CELLSIZE;
+
+        this.tailLength = this.height * 1.5;
+        this.fuselageLength = this.width;
+        this.noseLength = this.height * 1.5;
+
+        this.top = this.y - (AIRCRAFT_PADDING + AIRCRAFT_WALL_HEIGHT);
+        this.left = this.x - this.noseLength;
+        this.bottom = this.top + this.height + 2 * AIRCRAFT_PADDING + 2 * AIRCRAFT_WALL_HEIGHT;
+        this.right = this.left + this.noseLength + this.fuselageLength + this.tailLength;
+    }
+
+    /**
+     * Render the aircraft to the canvas
+     * @param{Aircraft} The aircraft to render
+     */
+    render(ctx) {
+        const tailStart = this.x + this.fuselageLength;
+        const tailSlope = (this.height + AIRCRAFT_PADDING) * 0.3;
+        const tailBezierOffset = {
+            x: 100,
+            y: 20,
+        };
+        const tailp1 = {
+            x: tailStart + this.tailLength + tailBezierOffset.x,
+            y: this.y + tailSlope - AIRCRAFT_WALL_HEIGHT + tailBezierOffset.y,
+        };
+        const tailp2 = {
+            x: tailStart + this.tailLength + tailBezierOffset.x,
+            y: this.y + this.height - tailSlope + AIRCRAFT_PADDING - tailBezierOffset.y,
+        };
+        // Draw the tail first since it needs to be on the bottom
+        ctx.fillStyle = 'rgba(180, 180, 185, 1.0)';
+        ctx.strokeStyle = 'rgba(220, 220, 230, 1.0)';
+        ctx.lineWidth = AIRCRAFT_WALL_HEIGHT * 2;
+        ctx.lineCap = 'round';
+        ctx.lineJoin = 'round';
+        ctx.beginPath();
+        ctx.moveTo(tailStart, this.y - AIRCRAFT_PADDING);
+        ctx.quadraticCurveTo(
+            tailStart + 50,
+            this.y - AIRCRAFT_PADDING,
+            tailStart + this.tailLength,
+            this.y + tailSlope - AIRCRAFT_WALL_HEIGHT
+        );
+        ctx.bezierCurveTo(tailp1.x, tailp1.y, tailp2.x, tailp2.y, tailStart + this.tailLength, this.y + this.height + AIRCRAFT_PADDING - tailSlope);
+        ctx.quadraticCurveTo(
+            tailStart + 50,
+            this.y + this.height + AIRCRAFT_PADDING,
+            tailStart,
+            this.y + this.height + AIRCRAFT_PADDING
+        );
+        ctx.stroke();
+        ctx.fill();
+        ctx.closePath();
+
+        // The nose also needs to be below the fuselage
+        const noseBezierOffset = 19;
+        const nosep1 = {
+            x: this.x - this.noseLength,
+            y: this.y - AIRCRAFT_PADDING + noseBezierOffset,
+        };
+        const nosep2 = {
+            x: this.x - this.noseLength,
+            y: this.y + this.height + AIRCRAFT_PADDING - noseBezierOffset,
+        };
+        ctx.beginPath();
+        ctx.moveTo(this.x, this.y - AIRCRAFT_PADDING);
+        ctx.bezierCurveTo(nosep1.x, nosep1.y, nosep2.x, nosep2.y, this.x, this.y + this.height + AIRCRAFT_PADDING);
+        ctx.stroke();
+        ctx.fill();
+        ctx.closePath();
+
+        // Draw the fuselage
+        ctx.fillStyle = 'rgba(220, 220, 230, 1.0)';
+        ctx.fillRect(this.x, this.y - AIRCRAFT_WALL_HEIGHT - AIRCRAFT_PADDING, this.fuselageLength, AIRCRAFT_WALL_HEIGHT);
+        ctx.fillRect(this.x, this.y + this.height + AIRCRAFT_PADDING, this.fuselageLength, AIRCRAFT_WALL_HEIGHT);
+
+        ctx.fillStyle = 'rgba(180, 180, 185, 1.0)';
+        ctx.fillRect(this.x, this.y - AIRCRAFT_PADDING, this.fuselageLength, this.height + 2 * AIRCRAFT_PADDING);
+
+        // Draw the simulation grid over the body of the aircraft
+        for (const cell of this.grid) {
+            cell.render(ctx);
+        }
+    }
+
+    /**
+     * Shade the cells outside the seats by one of the measures in HEATMAP_MEASURES, from
+     * pale yellow for the least to red for the most, and tint each passenger on board
+     * the same way by how long they spent stuck behind somebody stowing bags
+     * @param ctx a 2d canvas context
+     * @param{String} measure The name of the measure to shade the cells by
+     */
+    renderHeatmap(ctx, measure) {
+        const heatColor = (fraction, alpha) => `rgba(230, ${Math.round(220 * (1 - fraction))}, 40, ${alpha})`;
+        const cells = this.grid.filter(cell => !(cell instanceof Seat));
+        const most = Math.max(1, ...cells.map(cell => cell[measure]));
+        for (const cell of cells) {
+            if (cell[measure] > 0) {
+                ctx.fillStyle = heatColor(cell[measure] / most, 0.6);
+                ctx.fillRect(cell.x, cell.y, CELLSIZE, CELLSIZE);
+            }
+        }
+        const longestWait = Math.max(1, ...this.grid.map(cell => Math.max(0, ...Array.from(cell.contents).map(c => c.stowWaitTicks || 0))));
+        for (const cell of this.grid) {
+            // Stagger the tints the same way as the passengers (see Cell.renderContents)
+            let offset = 0;
+            for (const c of cell.contents) {
+                ctx.fillStyle = heatColor((c.stowWaitTicks || 0) / longestWait, 0.8);
+                ctx.fillRect(cell.x + offset + CELLSIZE / 4, cell.y + offset + CELLSIZE / 4, CELLSIZE / 2, CELLSIZE / 2);
+                offset += CELLSIZE / 8;
+            }
+        }
+    }
+}
+
+/**
+ * The things a congestion heatmap can show for each cell (see Aircraft.renderHeatmap)
+ */
+const HEATMAP_MEASURES = {
+    occupiedTicks: 'Time occupied',
+    blockedTicks: 'Time blocked',
+};
+
+/** Most of the actual simulation setup is in these functions **/
+
+/**
+ * Take a seat layout and generate an aircraft that implements it
+ * @param{Array} seatLayout A list of SeatLayout objects the describe how the grid should look
+ * @return{Aircraft} An aircraft with the desired layout
+ */
+function generateAircraft(seatLayout) {
+    const startingCell = new Cell(0, 0);
+    const aircraft = new Aircraft(startingCell);
+    // Aisle cells are linked to the last aisle cell in the same position in an earlier
+    // row, so a cabin can have as many aisles as it likes; rows made up of nothing but
+    // aisle cells act as cross-aisles between them. If a row has as many aisles as the
+    // one before it but they've moved sideways, each aisle carries on from the one it
+    // replaces instead.
+    const prevAisles = {};
+    let lastAisleCols = null;
+    let x = 0;
+    let rowIndex = 1;
+    for (let rowSpec of seatLayout) {
+        const aisleCols = [];
+        for (let j = 0; j < rowSpec.layout.length; j++) {
+            if (rowSpec.layout.charAt(j) === 'A' || rowSpec.layout.charAt(j) === 'D') {
+                aisleCols.push(j);
+            }
+        }
+        const shifted = lastAisleCols !== null && lastAisleCols.length === aisleCols.length &&
+            aisleCols.some((col, k) => col !== lastAisleCols[k]);
+        for (let i = 0; i < rowSpec.repeat; i++) {
+            x += CELLSIZE;
+            let prevCell = null;
+            let seatIndex = 0;
+            for (let j = 0; j < rowSpec.layout.length; j++) {
+                const cellType = rowSpec.layout.charAt(j);
+                const y = j * CELLSIZE;
+                let newCell = null;
+                // Add a new cell of the type required by the row spec
+                if (cellType === 'S') {
+                    // Add a seat
+                    const colName = String.fromCharCode(65 + seatIndex);
+                    newCell = new Seat(x, y, rowIndex, colName);
+                    seatIndex++;
+                    aircraft.addSeat(newCell);
+                } else if (cellType === 'A' || cellType === 'D') {
+                    // Add an aisle, or a door which works just like one
+                    if (cellType === 'D') {
+                        newCell = new Door(x, y);
+                        aircraft.addDoor(newCell);
+                    } else {
+                        newCell = new Cell(x, y);
+                    }
+                    if (rowSpec.bins !== undefined) {
+                        newCell.binCapacity = rowSpec.bins;
+                    }
+                    let prevAisle = prevAisles[j];
+                    if (shifted && i === 0) {
+                        prevAisle = prevAisles[lastAisleCols[aisleCols.indexOf(j)]];
+                    }
+                    if (prevAisle === undefined && startingCell.right === null) {
+                        // The first aisle cell we come across connects to the starting cell
+                        prevAisle = startingCell;
+                        startingCell.y = newCell.y; // Adjust y-coordinates so things line up
+                    }
+                    if (prevAisle !== undefined) {
+                        newCell.left = prevAisle;
+                        prevAisle.right = newCell;
+                    }
+                    prevAisles[j] = newCell;
+                } else if (cellType === '+') {
+                    // Advance the seat index but don't count this space
+                    seatIndex++;
+                    continue;
+                } else {
+                    // Skip this space
+                    continue;
+                }
+                if (prevCell) {
+                    // Link neighboring cells
+                    prevCell.down = newCell;
+                    newCell.up = prevCell;
+                }
+                prevCell = newCell;
+                aircraft.addCell(newCell);
+            }
+            if (shifted && i === 0) {
+                // The aisles we carried on from have come to an end
+                for (const col of lastAisleCols) {
+                    if (!aisleCols.includes(col)) {
+                        delete prevAisles[col];
+                    }
+                }
+            }
+            // Cross-aisles, doors and other rows without seats don't get a row number
+            if (rowSpec.layout.includes('S') || rowSpec.layout.includes('+')) {
+                rowIndex += 1;
+            }
+        }
+        if (aisleCols.length > 0) {
+            lastAisleCols = aisleCols;
+        }
+    }
+    for (const seat of aircraft.seats) {
+        seat.aisle = seat.findAisle();
+    }
+    return aircraft;
+}
+
+
+/**
+ * The kinds of cell a row spec can contain, in the order the layout editor cycles through them
+ */
+const LAYOUT_CELL_TYPES = ['S', 'A', ' ', '+', 'D'];
+
+/**
+ * Expand a seat layout so there's one entry per row
+ * @param{Array} seatLayout A list of {repeat, layout, bins} row specs
+ * @return{Array} The {layout, bins} of every row in order (bins is left out if the row spec doesn't have it)
+ */
+function expandSeatLayout(seatLayout) {
+    const rows = [];
+    for (const rowSpec of seatLayout) {
+        for (let i = 0; i < rowSpec.repeat; i++) {
+            const row = {layout: rowSpec.layout};
+            if (rowSpec.bins !== undefined) {
+                row.bins = rowSpec.bins;
+            }
+            rows.push(row);
+        }
+    }
+    return rows;
+}
+
+/**
+ * Turn a list of rows back into a seat layout, merging runs of identical rows into one row spec
+ * @param{Array} rows The {layout, bins} of every row in order
+ * @return{Array} A list of {repeat, layout, bins} row specs
+ */
+function compressSeatLayout(rows) {
+    const seatLayout = [];
+    for (const row of rows) {
+        const last = seatLayout[seatLayout.length - 1];
+        if (last && last.layout === row.layout && last.bins === row.bins) {
+            last.repeat++;
+        } else {
+            const rowSpec = {
+                repeat: 1,
+                layout: row.layout,
+            };
+            if (row.bins !== undefined) {
+                rowSpec.bins = row.bins;
+            }
+            seatLayout.push(rowSpec);
+        }
+    }
+    return seatLayout;
+}
+
+/**
+ * Check that the row specs of a seat layout are well formed and not too big to build
+ * an aircraft from, without building it
+ * @param{Array} seatLayout A list of {repeat, layout} row specs
+ * @return{Array} A description of each problem with the row specs; empty if they're fine
+ */
+function validateRowSpecs(seatLayout) {
+    if (!Array.isArray(seatLayout) || seatLayout.length === 0) {
+        return ['The seat layout needs to be a list of row specs'];
+    }
+    const errors = [];
+    seatLayout.forEach((rowSpec, i) => {
+        const name = `Row spec ${i + 1}`;
+        if (rowSpec === null || typeof rowSpec !== 'object') {
+            errors.push(`${name} needs to be an object with a repeat count and a layout`);
+            return;
+        }
+        if (!Number.isInteger(rowSpec.repeat) || rowSpec.repeat < 1) {
+            errors.push(`${name} needs a repeat count of at least 1`);
+        }
+        if (rowSpec.bins !== undefined && (!Number.isInteger(rowSpec.bins) || rowSpec.bins < 0)) {
+            errors.push(`${name} needs a bin capacity of at least 0 bags (or none at all for bins that never fill up)`);
+        }
+        if (typeof rowSpec.layout !== 'string' || rowSpec.layout.length === 0) {
+            errors.push(`${name} needs a layout string`);
+        } else {
+            const unknown = rowSpec.layout.split('').filter(c => !LAYOUT_CELL_TYPES.includes(c));
+            if (unknown.length > 0) {
+                errors.push(`${name} has unknown cell types '${unknown.join('')}' (use S, A, D, + or a space)`);
+            }
+        }
+    });
+    if (errors.length > 0) {
+        return errors;
+    }
+    const rowCount = seatLayout.reduce((total, rowSpec) => total + rowSpec.repeat, 0);
+    const cellCount = seatLayout.reduce((total, rowSpec) => total + rowSpec.repeat * rowSpec.layout.length, 0);
+    if (rowCount > MAX_LAYOUT_ROWS) {
+        errors.push(`The seat layout has ${rowCount} rows; it can have at most ${MAX_LAYOUT_ROWS}`);
+    }
+    if (cellCount > MAX_LAYOUT_CELLS) {
+        errors.push(`The seat layout has ${cellCount} cells; it can have at most ${MAX_LAYOUT_CELLS}`);
+    }
+    return errors;
+}
+
+/**
+ * Check that a seat layout describes an aircraft we can actually simulate
+ * @param{Array} seatLayout A list of {repeat, layout} row specs
+ * @return{Array} A description of each problem with the layout; empty if it's fine
+ */
+function validateSeatLayout(seatLayout) {
+    const errors = validateRowSpecs(seatLayout);
+    if (errors.length > 0) {
+        return errors;
+    }
+    if (!seatLayout.some(rowSpec => rowSpec.layout.includes('A') || rowSpec.layout.includes('D'))) {
+        return ['The seat layout needs an aisle'];
+    }
+    // Make sure every seat can be reached from the aisle
+    const aircraft = generateAircraft(seatLayout);
+    if (aircraft.seats.length === 0) {
+        errors.push('The seat layout needs at least one seat');
+    }
+    const stranded = aircraft.seats.filter(seat => seat.aisle === null);
+    if (stranded.length > 0) {
+        errors.push('These seats can\'t be reached from an aisle: ' + stranded.join(', '));
+    }
+    // ...and that every aisle those seats are on connects to the starting cell
+    const reachable = new Set([aircraft.startingCell]);
+    const toVisit = [aircraft.startingCell];
+    while (toVisit.length > 0) {
+        const cell = toVisit.pop();
+        for (const next of [cell.up, cell.down, cell.left, cell.right]) {
+            if (next && !(next instanceof Seat) && !reachable.has(next)) {
+                reachable.add(next);
+                toVisit.push(next);
+            }
+        }
+    }
+    const cutOff = aircraft.seats.filter(seat => seat.aisle !== null && !reachable.has(seat.aisle.cell));
+    if (cutOff.length > 0) {
+        errors.push('These seats are on an aisle that doesn\'t connect to the door: ' + cutOff.join(', '));
+    }
+    return errors;
+}
+
+/**
+ * Make a seeded pseudo-random number generator (mulberry32) so that runs can be reproduced
+ * @param{Number} seed The seed to start from (a 32-bit unsigned integer)
+ * @return{Function} A function that works like Math.random, returning a number in [0, 1)
+ */
+function createRng(seed) {
+    let state = seed >>> 0;
+    return function() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Pick a new seed for a random number generator
+ * @param{Function} rng The random number generator to pick the seed with - default is Math.random
+ * @return{Number} A 32-bit unsigned integer
+ */
+function randomSeed(rng) {
+    if (rng === undefined) {
+        rng = Math.random;
+    }
+    return Math.floor(rng() * 4294967296);
+}
+
+/**
+ * Pick a random color from a pallette of human-like skin tones
+ * @param{Function} rng The random number generator to use
+ * @return{String} An rgba color string repesenting the selected skin tone
+ */
+function randomRgbaSkinColor(rng) {
+    const colors = [
+        'rgba(197, 140, 133, 1.0)',
+        'rgba(236, 188, 180, 1.0)',
+        'rgba(209, 163, 164, 1.0)',
+        'rgba(161, 102, 94, 1.0)',
+        'rgba(80, 51, 53, 1.0)',
+        'rgba(89, 47, 42, 1.0)',
+    ];
+    const choice = Math.floor(rng() * colors.length);
+    return colors[choice];
+}
+
+/**
+ * Take an array and rearrange its elements in a random order (does not create a new array)
+ * @param{Array} The array to shuffle
+ * @param{Function} rng The random number generator to use
+ */
+function shuffleArray(array, rng) {
+    for(let i = array.length - 1; i > 0; i--) {
+        const j = Math.floor(rng() * (i + 1));
+        const tmp = array[i];
+        array[i] = array[j];
+        array[j] = tmp;
+    }
+}
+
+
+/**
+ * Pick a key from an object of relative weights, e.g. {0: 1, 1: 3} picks 1 three times as often as 0
+ * @param{Object} weights The relative weight of each key
+ * @param{Function} rng The random number generator to use
+ * @return{String} The chosen key
+ */
+function weightedChoice(weights, rng) {
+    const keys = Object.keys(weights);
+    const total = keys.reduce((sum, k) => sum + weights[k], 0);
+    let choice = rng() * total;
+    for (const k of keys) {
+        choice -= weights[k];
+        if (choice < 0) {
+            return k;
+        }
+    }
+    return keys[keys.length - 1];
+}
+
+/**
+ * Draw a number from the standard normal distribution using the Box-Muller transform
+ * @param{Function} rng The random number generator to use
+ * @return{Number} A normally-distributed number with mean 0 and standard deviation 1
+ */
+function randomNormal(rng) {
+    // Avoid log(0) by using 1 - u since rng() can return 0 but never 1
+    const u = 1 - rng();
+    const v = rng();
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+/**
+ * The distributions we can draw bag-stowing times from; each one lists the parameters
+ * it takes (all times are in seconds) and creates a function that draws a stowing time
+ * in milliseconds using the simulation's random number generator. The limits on the
+ * parameters keep stowing times from being negative, and createLuggageDistribution cuts
+ * every draw off at MAX_STOWING_TIME; times anywhere near that are still long enough for a
+ * run to hit its iteration limit, in which case it's reported as incomplete.
+ */
+const LUGGAGE_DISTRIBUTIONS = {
+    constant: {
+        label: 'Constant',
+        params: [
+            {name: 'value', label: 'Time (s)', default: 10, min: 0, max: MAX_STOWING_TIME},
+        ],
+        create: params => rng => params.value * 1000,
+    },
+    uniform: {
+        label: 'Uniform',
+        params: [
+            {name: 'min', label: 'Minimum (s)', default: 5, min: 0, max: MAX_STOWING_TIME},
+            {name: 'max', label: 'Maximum (s)', default: 15, min: 0, max: MAX_STOWING_TIME},
+        ],
+        create: params => {
+            if (params.min > params.max) {
+                throw 'Uniform distribution needs the Minimum (s) to be no more than the Maximum (s)';
+            }
+            return rng => (params.min + rng() * (params.max - params.min)) * 1000;
+        },
+    },
+    normal: {
+        label: 'Normal',
+        params: [
+            {name: 'mean', label: 'Mean (s)', default: 10, min: 0, max: MAX_STOWING_TIME},
+            {name: 'stddev', label: 'Std. deviation (s)', default: 3, min: 0, max: MAX_STOWING_TIME},
+        ],
+        // Nobody can stow a bag in negative time, so clip the left tail
+        create: params => rng => Math.max(0, params.mean + params.stddev * randomNormal(rng)) * 1000,
+    },
+    lognormal: {
+        label: 'Log-normal',
+        params: [
+            // e^6 is about 400 seconds
+            {name: 'mu', label: 'Log-mean \u03bc', default: 2.2, min: -5, max: 6},
+            {name: 'sigma', label: 'Log-std. deviation \u03c3', default: 0.4, min: 0, max: 2},
+        ],
+        create: params => rng => Math.exp(params.mu + params.sigma * randomNormal(rng)) * 1000,
+    },
+    weibull: {
+        label: 'Weibull',
+        params: [
+            // Small shapes have such long tails that a few passengers take hours
+            {name: 'shape', label: 'Shape k', default: 1.7, min: 0.5, max: 20},
+            {name: 'scale', label: 'Scale \u03bb (s)', default: 11, min: 0, max: MAX_STOWING_TIME},
+        ],
+        // Invert the CDF; again use 1 - u so we never take log(0)
+        create: params => rng => params.scale * Math.pow(-Math.log(1 - rng()), 1 / params.shape) * 1000,
+    },
+    empirical: {
+        label: 'Empirical table',
+        params: [
+            {name: 'values', label: 'Observed times (s)', default: '4, 6, 7, 9, 10, 12, 15, 22', list: true, min: 0, max: MAX_STOWING_TIME},
+        ],
+        create: params => rng => params.values[Math.floor(rng() * params.values.length)] * 1000,
+    },
+};
+
+/**
+ * Make a bag-stowing time distribution that can be passed to a Simulation
+ * @param{String} name The name of the distribution in LUGGAGE_DISTRIBUTIONS
+ * @param{Object} params The parameters of the distribution, keyed by name; any that are missing get their default value
+ * @return{Function} A function that takes a random number generator and returns a stowing
+ * time in milliseconds, at most MAX_STOWING_TIME seconds; its spec property says how it
+ * was made, as {name, params}
+ */
+function createLuggageDistribution(name, params) {
+    const distribution = LUGGAGE_DISTRIBUTIONS[name];
+    if (distribution === undefined) {
+        throw 'Unknown luggage distribution: ' + name;
+    }
+    const values = readParams(distribution.params, params, `${distribution.label} distribution`);
+    const drawTime = distribution.create(values);
+    const draw = rng => Math.min(drawTime(rng), MAX_STOWING_TIME * 1000);
+    draw.spec = {name: name, params: values};
+    return draw;
+}
+
+/**
+ * Turn the parameters given for a luggage distribution, bag policy or boarding strategy
+ * into numbers, and check they're in range
+ * @param{Array} definitions The {name, label, default, list, min, max, integer} definition
+ * of each parameter; min, max and integer are optional limits on its value (or on every
+ * value in a list)
+ * @param{Object} params The parameters, keyed by name; any that are missing get their default value
+ * @param{String} owner What the parameters are for, to say in error messages
+ * @return{Object} The value of each parameter, keyed by name
+ */
+function readParams(definitions, params, owner) {
+    const values = {};
+    for (const p of definitions) {
+        let value = (params && params[p.name] !== undefined) ? params[p.name] : p.default;
+        if (p.list) {
+            // Lists can be given as arrays or as comma-separated strings
+            if (typeof value === 'string') {
+                value = value.split(',').map(v => v.trim()).filter(v => v !== '');
+            }
+            value = value.map(v => v * 1);
+            if (value.length === 0 || value.some(isNaN)) {
+                throw `${owner} needs a list of numbers for ${p.label}`;
+            }
+            value.forEach(v => checkParamLimits(p, v, owner));
+        } else {
+            value = value * 1;
+            if (isNaN(value)) {
+                throw `${owner} needs a number for ${p.label}`;
+            }
+            checkParamLimits(p, value, owner);
+        }
+        values[p.name] = value;
+    }
+    return values;
+}
+
+/**
+ * Check a parameter's value against the limits in its definition
+ * @param{Object} definition The definition of the parameter (see readParams)
+ * @param{Number} value The value to check
+ * @param{String} owner What the parameter is for, to say in error messages
+ */
+function checkParamLimits(definition, value, owner) {
+    if (definition.integer && !Number.isInteger(value)) {
+        throw `${owner} needs a whole number for ${definition.label}`;
+    }
+    if (definition.min !== undefined && value < definition.min) {
+        throw `${owner} needs ${definition.label} to be at least ${definition.min}`;
+    }
+    if (definition.max !== undefined && value > definition.max) {
+        throw `${owner} needs ${definition.label} to be at most ${definition.max}`;
+    }
+}
+
+/**
+ * The carry-on bag policies an airline can use to cut down on the bags brought on
+ * board; each one lists its parameters and creates a function that takes the
+ * passengers in the order they board, the simulation's random number generator and
+ * the aircraft, checks some of their bags, and returns the number of bags it checked
+ */
+const BAG_POLICIES = {
+    none: {
+        label: 'No restrictions',
+        params: [],
+        create: params => (passengers, rng) => 0,
+    },
+    gateCheck: {
+        label: 'Gate-check bags once the bins are full',
+        params: [
+            {name: 'binShare', label: 'Bin space filled before gate-checking (%)', default: 100, min: 0},
+        ],
+        create: params => (passengers, rng, aircraft) => {
+            // Aircraft that don't say how many bags their bins hold never run out of room
+            const capacity = aircraft.binCapacity;
+            const threshold = isFinite(capacity) ? Math.floor(capacity * params.binShare / 100) : Infinity;
+            let carried = 0;
+            let checked = 0;
+            for (const p of passengers) {
+                const allowed = Math.max(threshold - carried, 0);
+                checked += p.checkBags(Math.max(p.bags - allowed, 0));
+                carried += p.bags;
+            }
+            return checked;
+        },
+    },
+    fee: {
+        label: 'Carry-on fee',
+        params: [
+            {name: 'checkShare', label: 'Bags checked to avoid the fee (%)', default: 40, min: 0, max: 100},
+        ],
+        create: params => (passengers, rng) => {
+            let checked = 0;
+            for (const p of passengers) {
+                let count = 0;
+                for (let i = 0; i < p.bags; i++) {
+                    if (rng() * 100 < params.checkShare) {
+                        count++;
+                    }
+                }
+                checked += p.checkBags(count);
+            }
+            return checked;
+        },
+    },
+    oneBag: {
+        label: 'One bag rule',
+        params: [
+            {name: 'limit', label: 'Bags allowed per passenger', default: 1, min: 0, integer: true},
+        ],
+        create: params => (passengers, rng) => {
+            let checked = 0;
+            for (const p of passengers) {
+                checked += p.checkBags(Math.max(p.bags - params.limit, 0));
+            }
+            return checked;
+        },
+    },
+};
+
+/**
+ * Make a carry-on bag policy that can be passed to a Simulation
+ * @param{String} name The name of the policy in BAG_POLICIES
+ * @param{Object} params The parameters of the policy, keyed by name; any that are missing get their default value
+ * @return{Function} A function that takes the passengers in boarding order, a random
+ * number generator and the aircraft, checks some of their bags, and returns the number of bags checked;
+ * its spec property says how it was made, as {name, params}
+ */
+function createBagPolicy(name, params) {
+    const policy = BAG_POLICIES[name];
+    if (policy === undefined) {
+        throw 'Unknown bag policy: ' + name;
+    }
+    const values = readParams(policy.params, params, `${policy.label} policy`);
+    const check = policy.create(values);
+    check.spec = {name: name, params: values};
+    return check;
+}
+
+/**
+ * Put a set of passengers in back-to-front order
+ * @param{Array} passengers The list of passengers to arrange
+ * @param{Aircraft} aircraft The aircraft to load
+ * @param{Function} rng The random number generator to use
+ */
+function arrangeBackFront(passengers, aircraft, rng) {
+    return passengers;
+}
+
+/**
+ * Put a set of passengers in front-to-back order
+ * @param{Array} passengers The list of passengers to arrange
+ * @param{Aircraft} aircraft The aircraft to load
+ * @param{Function} rng The random number generator to use
+ */
+function arrangeFrontBack(passengers, aircraft, rng) {
+    return passengers.reverse();
+}
+
+/**
+ * Put a set of passengers in random order
+ * @param{Array} passengers The list of passengers to arrange
+ * @param{Aircraft} aircraft The aircraft to load
+ * @param{Function} rng The random number generator to use
+ */
+function arrangeRandom(passengers, aircraft, rng) {
+    shuffleArray(passengers, rng);
+    return passengers;
+}
+
+/**
+ * Put a set of passengers in order for boarding according to Steffen (2008)
+ *
+ * This method orders passengers from back to front, every other row, on
+ * alternate sides of the aircraft, from the outside in. There's a good diagram
+ * in the original paper but here's a very simple example:
+ *
+ * 6  2  5  1
+ * 14 10 13 9
+ *
+ * 16 12 15 11
+ * 8  4  7  3
+ *
+ * Outside in means by the number of seats to the aisle, so in a twin-aisle cabin the
+ * middle seat of the centre block boards with the other middle seats.
+ * @param{Array} passengers The list of passengers to arrange
+ * @param{Aircraft} aircraft The aircraft to load
+ * @param{Function} rng The random number generator to use
+ */
+function arrangeSteffen(passengers, aircraft, rng) {
+    // Outside in; then every other row, starting at the back, one side of each aisle
+    // at a time; then the rows in between the same way
+    return sortByKeys(passengers, p => {
+        const seat = seatPlacement(p);
+        const fromBack = aircraft.rowCount - p.targetSeat.row;
+        return [-seat.distance, fromBack % 2, seat.aisle, seat.side, fromBack];
+    });
+}
+
+/**
+ * Put a set of passengers in order for boarding according to Qiang et al. (2014)
+ *
+ * This method takes the individual properties of each passenger into account:
+ * passengers are grouped by how many bags they're carrying and the groups board
+ * in order from the most luggage to the least, in random order within each group.
+ * Getting the slow stowers on board early means they're mostly out of the way by
+ * the time the quick ones arrive.
+ * @param{Array} passengers The list of passengers to arrange
+ * @param{Aircraft} aircraft The aircraft to load
+ * @param{Function} rng The random number generator to use
+ */
+function arrangeQiang(passengers, aircraft, rng) {
+    return boardInGroups(passengers, rng, p => -p.bags);
+}
+
+/**
+ * Put a set of passengers in order for boarding according to the practical version
+ * of Steffen's method (Steffen and Hotchkiss, 2012)
+ *
+ * The passengers board in four groups: even rows on one side of the aisle, even rows
+ * on the other side, then odd rows on the first side and odd rows on the other side.
+ * Within each group they board in random order, which is a lot easier to organize at
+ * the gate than a perfect Steffen queue and lets families stick together.
+ * @param{Array} passengers The list of passengers to arrange
+ * @param{Aircraft} aircraft The aircraft to load
+ * @param{Function} rng The random number generator to use
+ */
+function arrangeSteffenPractical(passengers, aircraft, rng) {
+    const groupOf = p => {
+        const parity = p.targetSeat.row % 2 === 0 ? 0 : 2;
+        return parity + seatPlacement(p).side;
+    };
+    return boardInGroups(passengers, rng, groupOf);
+}
+
+/**
+ * Work out where a passenger's seat is relative to the aisle they reach it from, so
+ * that methods which board by seat position work the same way in any cabin
+ * @param{Passenger} passenger The passenger
+ * @return{Object} distance - the number of seats to the aisle (1 for an aisle seat, 2
+ * for the seat next to it and so on), aisle - the y coordinate of the aisle, and side
+ * - 0 if the seat is above the aisle and 1 if it's below it
+ */
+function seatPlacement(passenger) {
+    const aisle = passenger.targetSeat.aisle;
+    if (aisle === null) {
+        return {distance: 1, aisle: 0, side: 0};
+    }
+    return {
+        distance: aisle.distance,
+        aisle: aisle.cell.y,
+        side: aisle.direction === 'up' ? 0 : 1,
+    };
+}
+
+/**
+ * Sort passengers into reverse boarding order by a list of keys
+ * @param{Array} passengers The passengers to sort (in place)
+ * @param{Function} keysOf A function giving a passenger's keys; passengers board in
+ * order of their first key, then their second key and so on
+ * @return{Array} The sorted passengers
+ */
+function sortByKeys(passengers, keysOf) {
+    const keys = new Map(passengers.map(p => [p, keysOf(p)]));
+    return passengers.sort((a, b) => {
+        const keysA = keys.get(a);
+        const keysB = keys.get(b);
+        for (let i = 0; i < keysA.length; i++) {
+            if (keysA[i] !== keysB[i]) {
+                // Passengers board from the end of the list, so this is backwards
+                return keysB[i] - keysA[i];
+            }
+        }
+        return 0;
+    });
+}
+
+/**
+ * Put a set of passengers in order to board in groups, one group after another, in
+ * random order within each group
+ * @param{Array} passengers The list of passengers to arrange (in place)
+ * @param{Function} rng The random number generator to use
+ * @param{Function} groupOf A function giving the group a passenger is in; lower groups board first
+ * @param{Function} orderOf A function giving the order passengers board in within their
+ * group, lowest first; passengers in the same place in it board in random order (optional)
+ * @return{Array} The passengers in reverse boarding order
+ */
+function boardInGroups(passengers, rng, groupOf, orderOf) {
+    shuffleArray(passengers, rng);
+    // The sort is stable, so passengers stay shuffled within each group
+    if (orderOf === undefined) {
+        return sortByKeys(passengers, p => [groupOf(p)]);
+    }
+    return sortByKeys(passengers, p => [groupOf(p), orderOf(p)]);
+}
+
+/**
+ * Split the rows the passengers are sitting in into blocks of (nearly) equal size
+ * @param{Array} passengers The passengers
+ * @param{Number} count The number of blocks (a whole number of at least 1)
+ * @return{Function} A function giving the block (0 at the front) a passenger sits in
+ */
+function rowBlocks(passengers, count) {
+    const rows = Array.from(new Set(passengers.map(p => p.targetSeat.row))).sort((a, b) => a - b);
+    const blocks = {};
+    rows.forEach((row, i) => {
+        blocks[row] = Math.floor(i * count / rows.length);
+    });
+    return p => blocks[p.targetSeat.row];
+}
+
+/**
+ * Put a set of passengers in outside-in (WilMA) order
+ *
+ * Window seats board first, then middle seats, then aisle seats, in random order
+ * within each group. In cabins with more than three seats across a block, the seats
+ * further from the aisle board first.
+ * @param{Array} passengers The list of passengers to arrange
+ * @param{Aircraft} aircraft The aircraft to load
+ * @param{Function} rng The random number generator to use
+ */
+function arrangeWilma(passengers, aircraft, rng) {
+    return boardInGroups(passengers, rng, p => -seatPlacement(p).distance);
+}
+
+/**
+ * Put a set of passengers in reverse pyramid order (van den Briel et al., 2005)
+ *
+ * Passengers board in groups that cut diagonally across the cabin: the first group
+ * has the window seats at the back, and each group after that moves towards the
+ * front and the aisle, so the last group has the aisle seats at the front. Within
+ * each group they board in random order.
+ * @param{Array} passengers The list of passengers to arrange
+ * @param{Aircraft} aircraft The aircraft to load
+ * @param{Function} rng The random number generator to use
+ * @param{Object} params The strategy's parameters: groups - the number of groups
+ */
+function arrangeReversePyramid(passengers, aircraft, rng, params) {
+    const rows = passengers.map(p => p.targetSeat.row);
+    const firstRow = Math.min(...rows);
+    const rowSpan = Math.max(...rows) - firstRow;
+    const maxDistance = Math.max(...passengers.map(p => seatPlacement(p).distance));
+    // How far back (0-1) and how far from the aisle (0-1) each seat is; the
+    // furthest back and furthest out seats go first
+    const groupOf = p => {
+        const back = rowSpan > 0 ? (p.targetSeat.row - firstRow) / rowSpan : 1;
+        const out = maxDistance > 1 ? (seatPlacement(p).distance - 1) / (maxDistance - 1) : 1;
+        return Math.min(Math.floor((2 - back - out) / 2 * params.groups), params.groups - 1);
+    };
+    return boardInGroups(passengers, rng, groupOf);
+}
+
+/**
+ * Put a set of passengers in order for block boarding
+ *
+ * The rows are split into blocks of about the same size, which board one at a time
+ * from the back of the aircraft to the front, in random order within each block.
+ * This is the zone boarding most airlines use.
+ * @param{Array} passengers The list of passengers to arrange
+ * @param{Aircraft} aircraft The aircraft to load
+ * @param{Function} rng The random number generator to use
+ * @param{Object} params The strategy's parameters: zones - the number of blocks
+ */
+function arrangeBlocks(passengers, aircraft, rng, params) {
+    const blockOf = rowBlocks(passengers, params.zones);
+    // The back block boards first
+    return boardInGroups(passengers, rng, p => -blockOf(p));
+}
+
+/**
+ * Put a set of passengers in order for rotating zone boarding
+ *
+ * Like block boarding, but the blocks take turns from each end of the aircraft: the
+ * back block boards first, then the front block, then the second block from the
+ * back, then the second from the front and so on, so that each block's passengers
+ * don't have to get past the ones stowing bags in the block before them.
+ * @param{Array} passengers The list of passengers to arrange
+ * @param{Aircraft} aircraft The aircraft to load
+ * @param{Function} rng The random number generator to use
+ * @param{Object} params The strategy's parameters: zones - the number of blocks
+ */
+function arrangeRotatingZones(passengers, aircraft, rng, params) {
+    const blockOf = rowBlocks(passengers, params.zones);
+    // Work out when each block boards: back, front, second from the back, ...
+    const turns = [];
+    let turn = 0;
+    for (let back = params.zones - 1, front = 0; front <= back; back--, front++) {
+        turns[back] = turn++;
+        if (front !== back) {
+            turns[front] = turn++;
+        }
+    }
+    return boardInGroups(passengers, rng, p => turns[blockOf(p)]);
+}
+
+/**
+ * Put a set of passengers in order for boarding according to Kautzka's method
+ *
+ * Like Steffen's method, window seats board first, then middle seats, then aisle
+ * seats, and consecutive passengers sit a few rows apart so they can all stow their
+ * bags at once. Unlike Steffen's method, both sides of the aircraft board together:
+ * the passengers on either side of a row board one after the other, and each pass
+ * down the cabin takes every Nth row, starting at the back.
+ * @param{Array} passengers The list of passengers to arrange
+ * @param{Aircraft} aircraft The aircraft to load
+ * @param{Function} rng The random number generator to use
+ * @param{Object} params The strategy's parameters: spacing - the number of rows between consecutive passengers
+ */
+function arrangeKautzka(passengers, aircraft, rng, params) {
+    const lastRow = Math.max(...passengers.map(p => p.targetSeat.row));
+    // Sort by the seat's distance from the aisle (furthest first), which pass down the
+    // cabin it's in, its row (back first), and finally the side of the aisle it's on
+    return sortByKeys(passengers, p => {
+        const seat = seatPlacement(p);
+        const fromBack = lastRow - p.targetSeat.row;
+        return [-seat.distance, fromBack % params.spacing, fromBack, seat.aisle, seat.side];
+    });
+}
+
+/**
+ * The ways passengers can be lined up within a boarding zone
+ */
+const ZONE_ORDERS = {
+    random: 'Random',
+    backToFront: 'Back-to-front',
+    frontToBack: 'Front-to-back',
+};
+
+/**
+ * Turn a list of seats like "20-33, 1-10AF, 12C, *E" into a test for whether a seat is
+ * on it: each item is a row or range of rows (or * for every row), optionally followed
+ * by the seat letters it covers
+ * @param{String} spec The list of seats
+ * @return{Function} A function that takes a Seat and returns true if it's on the list
+ */
+function parseSeatSpec(spec) {
+    const items = String(spec).split(/[\s,]+/).filter(item => item !== '');
+    if (items.length === 0) {
+        throw 'The seat list is empty';
+    }
+    const tests = items.map(item => {
+        const match = /^(?:\*|(\d+)(?:-(\d+))?)([A-Za-z]*)$/.exec(item);
+        if (match === null) {
+            throw `Can't understand '${item}' in the seat list (use rows like 12 or 10-20, optionally followed by seat letters like 10-20AF, or * for every row)`;
+        }
+        const first = match[1] === undefined ? -Infinity : match[1] * 1;
+        const last = match[2] === undefined ? (match[1] === undefined ? Infinity : first) : match[2] * 1;
+        if (last < first) {
+            throw `Can't understand '${item}' in the seat list (the range of rows runs backwards; write it as ${last}-${first}${match[3]})`;
+        }
+        const cols = match[3].toUpperCase();
+        return seat => seat.row >= first && seat.row <= last && (cols === '' || cols.includes(seat.col));
+    });
+    return seat => tests.some(test => test(seat));
+}
+
+/**
+ * Check that a zone scheme makes sense
+ * @param{Object} scheme The {name, preBoarding, zones} scheme to check (see createZoneArrangement)
+ * @return{Array} A description of each problem with the scheme; empty if it's fine
+ */
+function validateZoneScheme(scheme) {
+    if (scheme === null || typeof scheme !== 'object') {
+        return ['The zone scheme needs to be an object'];
+    }
+    const errors = [];
+    for (const profile of scheme.preBoarding || []) {
+        if (PASSENGER_PROFILES[profile] === undefined) {
+            errors.push(`Unknown pre-boarding group: ${profile}`);
+        }
+    }
+    if (!Array.isArray(scheme.zones) || scheme.zones.length === 0) {
+        errors.push('The zone scheme needs at least one zone');
+        return errors;
+    }
+    scheme.zones.forEach((zone, i) => {
+        try {
+            parseSeatSpec(zone.seats);
+        } catch (err) {
+            errors.push(`Zone ${i + 1}: ${err}`);
+        }
+        if (ZONE_ORDERS[zone.order] === undefined) {
+            errors.push(`Zone ${i + 1} has an unknown order: ${zone.order}`);
+        }
+    });
+    return errors;
+}
+
+/**
+ * Build a boarding method out of a zone scheme like the ones airlines use: first the
+ * pre-boarding groups (in the order given, each in random order), then each zone in
+ * turn, then anybody whose seat isn't in any zone (in random order). A seat that's in
+ * more than one zone boards with the first of them.
+ * @param{Object} scheme The scheme to use:
+ *   name - what to call the scheme
+ *   preBoarding - a list of the names of PASSENGER_PROFILES who board before everybody else (default none)
+ *   zones - a list of {seats, order} zones in the order they board, where seats is a
+ *     list of seats (see parseSeatSpec) and order is the name of an order in ZONE_ORDERS
+ * @return{Function} An arrange function that can be used as a boarding method; its spec
+ * property is a copy of the scheme
+ */
+function createZoneArrangement(scheme) {
+    const errors = validateZoneScheme(scheme);
+    if (errors.length > 0) {
+        throw errors.join('; ');
+    }
+    const preBoarding = scheme.preBoarding || [];
+    const zones = scheme.zones.map(zone => ({
+        contains: parseSeatSpec(zone.seats),
+        order: zone.order,
+    }));
+    const arrange = function(passengers, aircraft, rng) {
+        // Everybody who isn't pre-boarding or in a zone goes in the last group
+        const groupOf = p => {
+            const group = preBoarding.indexOf(p.profile);
+            if (group !== -1) {
+                return group;
+            }
+            const zone = zones.findIndex(z => z.contains(p.targetSeat));
+            return zone === -1 ? preBoarding.length + zones.length : preBoarding.length + zone;
+        };
+        const orderOf = p => {
+            const zone = zones[groupOf(p) - preBoarding.length];
+            if (zone === undefined || zone.order === 'random') {
+                return 0;
+            }
+            return zone.order === 'backToFront' ? -p.targetSeat.row : p.targetSeat.row;
+        };
+        return boardInGroups(passengers, rng, groupOf, orderOf);
+    };
+    Object.defineProperty(arrange, 'name', {value: scheme.name === undefined ? 'zones' : scheme.name});
+    arrange.spec = JSON.parse(JSON.stringify(scheme));
+    return arrange;
+}
+
+/**
+ * The ways of deciding which seats stay empty on a flight that isn't full; each one
+ * sorts a list of seats (in place) into the order they're left empty in
+ */
+const SEAT_SELECTIONS = {
+    random: {
+        label: 'Random seats',
+        emptyFirst: (seats, rng) => shuffleArray(seats, rng),
+    },
+    avoidMiddle: {
+        label: 'Middle seats stay empty first',
+        emptyFirst: (seats, rng) => {
+            // A middle seat has somebody on both sides of it
+            const isMiddle = seat => seat.up instanceof Seat && seat.down instanceof Seat;
+            shuffleArray(seats, rng);
+            // The sort is stable so the middle seats and the rest both stay shuffled
+            seats.sort((a, b) => isMiddle(b) - isMiddle(a));
+        },
+    },
+};
+
+/**
+ * Pick the seats that have somebody sitting in them on a flight
+ * @param{Array} seats All of the seats on the aircraft
+ * @param{Number} loadFactor The fraction of seats (0-1) with a passenger in them
+ * @param{String} selection The name of the way of leaving seats empty in SEAT_SELECTIONS
+ * @param{Function} rng The random number generator to use
+ * @return{Array} The occupied seats, in the same order as the list of all seats
+ */
+function chooseOccupiedSeats(seats, loadFactor, selection, rng) {
+    if (isNaN(loadFactor) || loadFactor < 0 || loadFactor > 1) {
+        throw 'The load factor needs to be a number between 0 and 1';
+    }
+    if (SEAT_SELECTIONS[selection] === undefined) {
+        throw 'Unknown seat selection: ' + selection;
+    }
+    const empty = seats.slice();
+    SEAT_SELECTIONS[selection].emptyFirst(empty, rng);
+    const emptySeats = new Set(empty.slice(0, seats.length - Math.round(loadFactor * seats.length)));
+    return seats.filter(seat => !emptySeats.has(seat));
+}
+
+/**
+ * Sort some of the passengers into travel parties who sit next to each other in the
+ * same block of seats (a party never spans an aisle)
+ * @param{Array} passengers The passengers on the flight
+ * @param{Number} share The fraction of passengers (0-1) who should be travelling in a party
+ * @param{Function} rng The random number generator to use
+ * @return{Number} The number of parties
+ */
+function assignParties(passengers, share, rng) {
+    const bySeat = new Map();
+    for (const p of passengers) {
+        bySeat.set(p.targetSeat, p);
+    }
+    // Collect each block of seats once, then fill blocks in random order until
+    // enough passengers are in a party
+    const blocks = [];
+    const seen = new Set();
+    for (const p of passengers) {
+        if (!seen.has(p.targetSeat)) {
+            const block = p.targetSeat.findBlock();
+            block.forEach(seat => seen.add(seat));
+            blocks.push(block);
+        }
+    }
+    shuffleArray(blocks, rng);
+
+    const target = Math.round(share * passengers.length);
+    let inParties = 0;
+    let parties = 0;
+    for (const block of blocks) {
+        if (inParties >= target) {
+            break;
+        }
+        const size = Math.min(weightedChoice(PARTY_SIZE_WEIGHTS, rng) * 1, block.length, target - inParties);
+        const start = Math.floor(rng() * (block.length - size + 1));
+        const members = block.slice(start, start + size).map(seat => bySeat.get(seat));
+        // Nobody travels in a party of one, and an empty seat can't join a party
+        if (size < 2 || members.some(m => m === undefined)) {
+            continue;
+        }
+        for (const m of members) {
+            m.party = parties;
+        }
+        parties++;
+        inParties += size;
+    }
+    return parties;
+}
+
+/**
+ * Rearrange a boarding queue so that each travel party boards together, as soon as
+ * the first of its members would have boarded; within a party the passengers sitting
+ * furthest from the aisle board first so they don't have to climb over each other
+ * @param{Array} queue The passengers in boarding order (the last one boards first)
+ * @return{Array} The rearranged queue
+ */
+function keepPartiesTogether(queue) {
+    const parties = new Map();
+    for (const p of queue) {
+        if (p.party !== null) {
+            if (!parties.has(p.party)) {
+                parties.set(p.party, []);
+            }
+            parties.get(p.party).push(p);
+        }
+    }
+    const distance = p => {
+        const aisle = p.targetSeat.aisle;
+        return aisle === null ? 0 : aisle.distance;
+    };
+    const boardingOrder = [];
+    for (let i = queue.length - 1; i >= 0; i--) {
+        const p = queue[i];
+        if (p.party === null) {
+            boardingOrder.push(p);
+        } else if (parties.has(p.party)) {
+            const members = parties.get(p.party);
+            members.sort((a, b) => distance(b) - distance(a));
+            boardingOrder.push(...members);
+            parties.delete(p.party);
+        }
+    }
+    return boardingOrder.reverse();
+}
+
+/**
+ * Mess up a boarding queue the way real passengers do: some of them board whenever
+ * they get to the gate instead of when they're called, some turn up late and board
+ * after everybody else, and some don't turn up at all; travel parties do all of
+ * this together
+ * @param{Array} queue The passengers in boarding order (the last one boards first)
+ * @param{Object} compliance The fraction (0-1) of passengers who board outOfOrder,
+ * arrive late or are a noShow (each is 0 if it's left out); they can't add up to more than 1
+ * @param{Function} rng The random number generator to use
+ * @return{Object} The new queue (the last one boards first) and the list of passengers who didn't show up
+ */
+function applyCompliance(queue, compliance, rng) {
+    const rates = {};
+    for (const name of ['outOfOrder', 'late', 'noShow']) {
+        rates[name] = compliance[name] === undefined ? 0 : compliance[name];
+        if (isNaN(rates[name]) || rates[name] < 0 || rates[name] > 1) {
+            throw `The ${name} compliance rate needs to be a number between 0 and 1`;
+        }
+    }
+    if (rates.outOfOrder + rates.late + rates.noShow > 1) {
+        throw 'The compliance rates can\'t add up to more than 100%';
+    }
+    // Split the queue into the units that board together, in boarding order
+    const units = [];
+    for (let i = queue.length - 1; i >= 0; i--) {
+        const p = queue[i];
+        const last = units[units.length - 1];
+        if (p.party !== null && last !== undefined && last[0].party === p.party) {
+            last.push(p);
+        } else {
+            units.push([p]);
+        }
+    }
+    const onTime = [];
+    const outOfOrder = [];
+    const late = [];
+    const noShows = [];
+    for (const unit of units) {
+        const roll = rng();
+        if (roll < rates.noShow) {
+            noShows.push(...unit);
+        } else if (roll < rates.noShow + rates.late) {
+            late.push(unit);
+        } else if (roll < rates.noShow + rates.late + rates.outOfOrder) {
+            outOfOrder.push(unit);
+        } else {
+            onTime.push(unit);
+        }
+    }
+    // Passengers who ignore their group push in anywhere, and late arrivals board
+    // at the end in whatever order they get to the gate
+    for (const unit of outOfOrder) {
+        onTime.splice(Math.floor(rng() * (onTime.length + 1)), 0, unit);
+    }
+    shuffleArray(late, rng);
+    const boardingOrder = [].concat(...onTime, ...late);
+    return {
+        queue: boardingOrder.reverse(),
+        noShows: noShows,
+    };
+}
+
+
+/**
+ * The ways we can decide which door each passenger boards through; each one picks a
+ * door for a seat from the aircraft's doors (which are in order from front to back)
+ */
+const DOOR_RULES = {
+    front: {
+        label: 'Front door only',
+        assign: (seat, doors) => doors[0],
+    },
+    rear: {
+        label: 'Rear door only',
+        assign: (seat, doors) => doors[doors.length - 1],
+    },
+    nearest: {
+        label: 'By seat row (nearest door)',
+        // Doors are ordered front to back, so ties go to the door further forward
+        assign: (seat, doors) => doors.reduce((best, door) => Math.abs(door.x - seat.x) < Math.abs(best.x - seat.x) ? door : best),
+    },
+};
+
+/**
+ * The ways passengers can take turns getting off the aircraft; each one gives every
+ * passenger a priority, given the door they're leaving through. Passengers with the
+ * lowest priority stand up first, and the next lowest wait until all of them are out
+ * of their seats before they get up (anybody sitting in the way gets up early, though)
+ */
+const DEPLANING_POLICIES = {
+    courtesy: {
+        label: 'Row by row (courtesy)',
+        priority: (passenger, door) => Math.abs(passenger.targetSeat.x - door.x),
+    },
+    free: {
+        label: 'Free-for-all (aisle first)',
+        priority: (passenger, door) => 0,
+    },
+    connections: {
+        label: 'Tight connections first',
+        // Everybody else goes row by row once the passengers in a hurry are on their way
+        priority: (passenger, door) => passenger.tightConnection ? -1 : Math.abs(passenger.targetSeat.x - door.x),
+    },
+};
+
+/**
+ * The events a passenger's change of state is logged as (see Simulation.logEvent);
+ * any other change of state is logged as a 'state' event
+ */
+const STATE_EVENTS = {
+    [State.StowingAway]: 'stowing',
+    [State.Seated]: 'seated',
+    [State.LeavingSeat]: 'stood_up',
+    [State.Retrieving]: 'retrieving',
+    [State.Deplaned]: 'deplaned',
+};
+
+/**
+ * Work out what to log a passenger's change of state as
+ * @param{String} previous The state they were in
+ * @param{String} current The state they're in now
+ * @return{String} The type of event (see STATE_EVENTS)
+ */
+function stateEvent(previous, current) {
+    if (current === State.LoadingUp || current === State.LoadingDown) {
+        // Passengers also go back to loading once their row is clear or they're back
+        // from a bin further along the aisle, but they only stow when they first get there
+        return previous === State.Searching ? 'stowing' : 'state';
+    }
+    return STATE_EVENTS[current] || 'state';
+}
+
+/**
+ * Put the passengers in order with a boarding method's arrange function, making sure
+ * that whatever it does (it might have been pasted into the page) we get back a queue
+ * we can board
+ * @param{Function} arrange The arrange function (see registerStrategy)
+ * @param{String} name The name of the boarding method, to say in error messages
+ * @param{Array} passengers The passengers to arrange
+ * @param{Aircraft} aircraft The aircraft they're boarding
+ * @param{Function} rng The random number generator to use
+ * @param{Object} params The method's parameters
+ * @return{Array} The passengers in reverse boarding order
+ */
+function runArrangement(arrange, name, passengers, aircraft, rng, params) {
+    // The arrange function is allowed to shuffle the list it's given in place
+    const expected = new Set(passengers);
+    let queue;
+    try {
+        queue = arrange(passengers, aircraft, rng, params);
+    } catch (err) {
+        throw `The ${name} boarding method failed: ${err}`;
+    }
+    if (!Array.isArray(queue) || queue.length !== expected.size || queue.some(p => !expected.has(p)) ||
+            new Set(queue).size !== queue.length) {
+        throw `The ${name} boarding method needs to return the passengers it was given, each of them once`;
+    }
+    return queue;
+}
+
+/**
+ * The boarding strategies we know about, keyed by id; the method radio buttons on the
+ * page are generated from this, so add new ones with registerStrategy
+ */
+const BOARDING_STRATEGIES = {};
+
+/**
+ * Check that a boarding strategy has everything it needs to be registered
+ * @param{Object} strategy The strategy to check (see registerStrategy)
+ */
+function validateStrategy(strategy) {
+    if (strategy === null || typeof strategy !== 'object') {
+        throw 'A boarding strategy must be an object';
+    }
+    if (typeof strategy.id !== 'string' || !/^[A-Za-z0-9_-]+$/.test(strategy.id)) {
+        throw 'A boarding strategy needs an id made of letters, numbers, _ and -';
+    }
+    if (typeof strategy.name !== 'string' || strategy.name.trim() === '') {
+        throw `Boarding strategy ${strategy.id} needs a name`;
+    }
+    if (typeof strategy.arrange !== 'function') {
+        throw `Boarding strategy ${strategy.id} needs an arrange function`;
+    }
+    if (strategy.params !== undefined) {
+        if (!Array.isArray(strategy.params)) {
+            throw `The params of boarding strategy ${strategy.id} must be a list`;
+        }
+        for (const param of strategy.params) {
+            if (typeof param.name !== 'string' || !/^[A-Za-z0-9_]+$/.test(param.name)) {
+                throw `Every parameter of boarding strategy ${strategy.id} needs a name made of letters, numbers and _`;
+            }
+            if (isNaN(param.default * 1)) {
+                throw `Parameter ${param.name} of boarding strategy ${strategy.id} needs a numeric default`;
+            }
+            for (const limit of ['min', 'max']) {
+                if (param[limit] !== undefined && isNaN(param[limit] * 1)) {
+                    throw `The ${limit} of parameter ${param.name} of boarding strategy ${strategy.id} needs to be a number`;
+                }
+            }
+        }
+    }
+}
+
+/**
+ * Add a boarding strategy to BOARDING_STRATEGIES so simulations (and the page) can
+ * use it; registering a strategy with the same id as an existing one replaces it
+ * @param{Object} strategy The strategy:
+ *   id - the name simulations know the strategy by (letters, numbers, _ and -)
+ *   name - the name to show on the page
+ *   description - a sentence or two about how the strategy orders passengers (optional)
+ *   params - a list of {name, label, default, min, max, integer} numeric parameters the
+ *     strategy takes, where min, max and integer are optional limits on the values it
+ *     accepts (optional)
+ *   arrange - a function taking (passengers, aircraft, rng, params) that returns the
+ *     passengers in reverse boarding order (the last one in the list boards first)
+ * @return{Object} The registered strategy
+ */
+function registerStrategy(strategy) {
+    validateStrategy(strategy);
+    const registered = {
+        id: strategy.id,
+        name: strategy.name,
+        description: strategy.description === undefined ? '' : strategy.description,
+        params: (strategy.params || []).map(p => ({
+            name: p.name,
+            label: p.label === undefined ? p.name : p.label,
+            default: p.default * 1,
+            min: p.min === undefined ? undefined : p.min * 1,
+            max: p.max === undefined ? undefined : p.max * 1,
+            integer: p.integer === true,
+        })),
+        arrange: strategy.arrange,
+    };
+    BOARDING_STRATEGIES[registered.id] = registered;
+    return registered;
+}
+
+registerStrategy({
+    id: 'btf',
+    name: 'Back-to-front',
+    description: 'Passengers board by row, starting at the back of the aircraft.',
+    arrange: arrangeBackFront,
+});
+registerStrategy({
+    id: 'ftb',
+    name: 'Front-to-back',
+    description: 'Passengers board by row, starting at the front of the aircraft.',
+    arrange: arrangeFrontBack,
+});
+registerStrategy({
+    id: 'random',
+    name: 'Random',
+    description: 'Passengers board in no particular order.',
+    arrange: arrangeRandom,
+});
+registerStrategy({
+    id: 'steffen',
+    name: 'Steffen (2008)',
+    description: 'Every other row on one side at a time, window seats first, so passengers never wait for their neighbours.',
+    arrange: arrangeSteffen,
+});
+registerStrategy({
+    id: 'qiang',
+    name: 'Qiang (2014)',
+    description: 'Passengers with the most bags board first, in random order within each group.',
+    arrange: arrangeQiang,
+});
+registerStrategy({
+    id: 'steffen_practical',
+    name: 'Practical Steffen (2012)',
+    description: 'Four groups by side and odd or even row, in random order within each group.',
+    arrange: arrangeSteffenPractical,
+});
+registerStrategy({
+    id: 'wilma',
+    name: 'Outside-in (WilMA)',
+    description: 'Window seats first, then middle seats, then aisle seats, in random order within each group.',
+    arrange: arrangeWilma,
+});
+registerStrategy({
+    id: 'reverse_pyramid',
+    name: 'Reverse pyramid',
+    description: 'Diagonal groups from the window seats at the back to the aisle seats at the front.',
+    params: [{name: 'groups', label: 'Groups', default: 5, min: 1, integer: true}],
+    arrange: arrangeReversePyramid,
+});
+registerStrategy({
+    id: 'blocks',
+    name: 'Block boarding',
+    description: 'Blocks of rows board from the back to the front, in random order within each block.',
+    params: [{name: 'zones', label: 'Zones', default: 3, min: 1, integer: true}],
+    arrange: arrangeBlocks,
+});
+registerStrategy({
+    id: 'rotating_zones',
+    name: 'Rotating zones',
+    description: 'Blocks of rows take turns from the back and the front, in random order within each block.',
+    params: [{name: 'zones', label: 'Zones', default: 4, min: 1, integer: true}],
+    arrange: arrangeRotatingZones,
+});
+registerStrategy({
+    id: 'kautzka',
+    name: 'Kautzka',
+    description: 'Outside-in, with both sides of a row boarding together and consecutive rows a few apart.',
+    params: [{name: 'spacing', label: 'Row spacing', default: 2, min: 1, integer: true}],
+    arrange: arrangeKautzka,
+});
+
+// The seat layouts simulations have already checked, so batches only check them once
+const VALID_SEAT_LAYOUTS = new WeakSet();
+
+/**
+ * A single boarding run on one aircraft - holds the passengers and the aircraft and
+ * advances them one tick at a time without knowing anything about how (or whether)
+ * the run is displayed
+ */
+class Simulation {
+    /**
+     * @param{Object} options The parameters of the run:
+     *   seatLayout - a list of row specs like the ones in SEAT_LAYOUT_PRESETS (required)
+     *   method - the id of a strategy in BOARDING_STRATEGIES or an arrange function (default 'btf')
+     *   strategyParams - the parameters of the strategies that take any, keyed by strategy id and then by parameter name (default is each parameter's default)
+     *   secondsPerTick - the amount of simulated time (in seconds) that passes during each tick (default 0.5)
+     *   tickLength - the same in milliseconds, if secondsPerTick isn't given
+     *   cellLength - the length (in metres) of one cell of the aisle (default 0.8)
+     *   walkingSpeed - how fast (in metres per second) a passenger walks down an empty aisle; it's scaled by the speed of their profile and can't be more than one cell per tick (default 1.6)
+     *   luggageDistribution - a function returning the time (in milliseconds) a passenger needs to stow one bag
+     *   population - the relative share of each profile in PASSENGER_PROFILES among the passengers (default is each profile's share)
+     *   bagDistribution - a function returning the number of bags a passenger carries (default is to use the bag mix of their profile)
+     *   loadFactor - the fraction of seats (0-1) with a passenger in them (default 1)
+     *   seatSelection - the name of the way of leaving seats empty in SEAT_SELECTIONS when the flight isn't full (default 'random')
+     *   partyShare - the fraction of passengers (0-1) travelling in parties who board together and sit next to each other (default 0)
+     *   doorRule - the name of the rule in DOOR_RULES that decides which door each passenger boards (or leaves) through (default 'front')
+     *   mode - 'board' to board an empty aircraft or 'deplane' to empty a full one (default 'board')
+     *   deplaningPolicy - the name of the policy in DEPLANING_POLICIES passengers follow to get off (default 'courtesy')
+     *   connectionShare - the fraction of passengers (0-1) with a tight connection when deplaning (default 0.15)
+     *   compliance - the fraction (0-1) of passengers who board outOfOrder, arrive late or are a noShow (see applyCompliance); only used when boarding (default is everybody boards when they're called)
+     *   bagPolicy - a function that checks some of the passengers' bags, given them in boarding order (see createBagPolicy); only used when boarding (default is no policy)
+     *   record - whether to keep a snapshot of the cabin after every tick so the run can be replayed (see recording); it takes a fair bit of memory (default false)
+     *   recordEvents - whether to keep a log of what each passenger does (see logEvent); it slows things down a little (default false)
+     *   maxIterations - give up after this many ticks (default is as many as make up 5000 seconds, 10000 at the default tick length)
+     *   seed - the seed for the random number generator; runs with the same options and seed are identical (default is a random seed)
+     * Any functions in the options are passed the simulation's random number generator when they're called.
+     */
+    constructor(options) {
+        this.seed = options.seed === undefined ? randomSeed() : options.seed;
+        this.rng = createRng(this.seed);
+        if (options.secondsPerTick !== undefined) {
+            this.tickLength = options.secondsPerTick * 1000;
+        } else {
+            this.tickLength = options.tickLength === undefined ? DEFAULT_SECONDS_PER_TICK * 1000 : options.tickLength;
+        }
+        if (!(this.tickLength > 0)) {
+            throw 'The time per tick must be above zero';
+        }
+        this.cellLength = options.cellLength === undefined ? DEFAULT_CELL_LENGTH : options.cellLength;
+        this.walkingSpeed = options.walkingSpeed === undefined ? DEFAULT_WALKING_SPEED : options.walkingSpeed;
+        if (!(this.cellLength > 0) || !(this.walkingSpeed > 0)) {
+            throw 'The cell length and walking speed must be above zero';
+        }
+        this.maxIterations = options.maxIterations === undefined ? Math.ceil(5000000 / this.tickLength) : options.maxIterations;
+        // How many cells somebody walking at full speed covers in a tick
+        this.cellsPerTick = this.walkingSpeed * this.tickLength / 1000 / this.cellLength;
+        if (this.cellsPerTick > 1 + 1e-9) {
+            throw `Passengers walking at ${this.walkingSpeed} m/s would cover more than one ${this.cellLength} m cell ` +
+                `in ${this.tickLength / 1000} s; use a shorter tick`;
+        }
+        this.mode = options.mode === undefined ? 'board' : options.mode;
+        if (this.mode !== 'board' && this.mode !== 'deplane') {
+            throw 'Unknown simulation mode: ' + this.mode;
+        }
+        if (options.luggageDistribution === undefined) {
+            // By default just use 10 seconds as the average time to stow a bag
+            this.luggageDistribution = function() {
+                return 10000;
+            };
+        } else {
+            this.luggageDistribution = () => options.luggageDistribution(this.rng);
+        }
+        if (options.population === undefined) {
+            this.population = {};
+            for (const name of Object.keys(PASSENGER_PROFILES)) {
+                this.population[name] = PASSENGER_PROFILES[name].share;
+            }
+        } else {
+            this.population = options.population;
+            for (const profile of Object.keys(this.population)) {
+                if (PASSENGER_PROFILES[profile] === undefined) {
+                    throw `Unknown passenger profile in the population: ${profile}`;
+                }
+            }
+        }
+        if (!Object.values(this.population).some(share => share > 0)) {
+            throw 'The passenger population needs at least one profile with a share above zero';
+        }
+
+        // Create the aircraft, making sure every seat can be reached first
+        if (!VALID_SEAT_LAYOUTS.has(options.seatLayout)) {
+            const errors = validateSeatLayout(options.seatLayout);
+            if (errors.length > 0) {
+                throw errors.join('; ');
+            }
+            VALID_SEAT_LAYOUTS.add(options.seatLayout);
+        }
+        this.seatLayout = options.seatLayout;
+        this.aircraft = generateAircraft(options.seatLayout);
+        // Generate some passengers to fill the seats, leaving some empty if the flight isn't full
+        this.loadFactor = options.loadFactor === undefined ? 1 : options.loadFactor;
+        this.seatSelection = options.seatSelection === undefined ? 'random' : options.seatSelection;
+        let occupied = this.aircraft.seats;
+        if (this.loadFactor !== 1) {
+            occupied = chooseOccupiedSeats(occupied, this.loadFactor, this.seatSelection, this.rng);
+        }
+        const passengers = [];
+        for (const targetSeat of occupied) {
+            const color = randomRgbaSkinColor(this.rng);
+            const profile = weightedChoice(this.population, this.rng);
+            let bags;
+            if (options.bagDistribution === undefined) {
+                bags = weightedChoice(PASSENGER_PROFILES[profile].bags, this.rng) * 1;
+            } else {
+                bags = options.bagDistribution(this.rng);
+            }
+            const passenger = new Passenger(null, targetSeat, this.luggageDistribution, color, bags, profile);
+            passenger.speed *= Math.min(this.cellsPerTick, 1);
+            passengers.push(passenger);
+        }
+        this.passengerCount = passengers.length;
+        this.parties = assignParties(passengers, options.partyShare === undefined ? 0 : options.partyShare, this.rng);
+
+        this.doorRule = options.doorRule === undefined ? 'front' : options.doorRule;
+        if (DOOR_RULES[this.doorRule] === undefined) {
+            throw 'Unknown door rule: ' + this.doorRule;
+        }
+        const doors = this.aircraft.doors;
+        for (const p of passengers) {
+            p.door = DOOR_RULES[this.doorRule].assign(p.targetSeat, doors);
+        }
+        this.queues = doors.map(() => []);
+        this.activePax = [];
+        this.iteration = 0;
+        this.bagsChecked = 0;
+        this.noShows = 0;
+        this.recordEvents = options.recordEvents === true;
+        this.events = [];
+        if (this.mode === 'deplane') {
+            this.setUpDeplaning(passengers, options);
+        } else {
+            this.setUpBoarding(passengers, options);
+        }
+        this.frames = null;
+        if (options.record === true) {
+            // Everybody who might end up on the aircraft, and where to find the cells in a snapshot
+            this.recordedPax = passengers;
+            this.cellIndex = new Map(this.aircraft.grid.map((cell, i) => [cell, i]));
+            this.binCells = this.aircraft.grid.filter(cell => isFinite(cell.binCapacity));
+            this.frames = [];
+            this.takeSnapshot();
+        }
+    }
+
+    /**
+     * Add a snapshot of where everybody is and how full the bins are to the recording
+     */
+    takeSnapshot() {
+        this.frames.push({
+            positions: this.recordedPax.map(p => p.cell === null ? -1 : this.cellIndex.get(p.cell)),
+            bins: this.binCells.map(cell => cell.binLoad),
+        });
+    }
+
+    /**
+     * Package up the snapshots of the run so it can be replayed (see Replay) or saved as JSON
+     * @return{Object} The recording: the seat layout, the tick length, the seed, method
+     * and mode of the run, the seat and color of each passenger (and the ticks they
+     * spent behind somebody stowing bags), the grid cells with overhead bins, one
+     * frame per tick with the grid cell each passenger is in (-1 if they aren't on the
+     * aircraft) and the number of bags in each bin, and the ticks each grid cell was
+     * occupied and blocked over the whole run
+     */
+    recording() {
+        if (this.frames === null) {
+            throw 'This simulation isn\'t being recorded';
+        }
+        return {
+            version: RECORDING_VERSION,
+            seatLayout: this.seatLayout,
+            tickLength: this.tickLength,
+            seed: this.seed,
+            method: typeof this.method === 'function' ? this.method.name : this.method,
+            mode: this.mode,
+            passengers: this.recordedPax.map(p => ({seat: p.targetSeat.toString(), color: p.color, stowWaitTicks: p.stowWaitTicks})),
+            binCells: this.binCells.map(cell => this.cellIndex.get(cell)),
+            frames: this.frames,
+            // Congestion over the run so far, for heatmaps
+            occupiedTicks: this.aircraft.grid.map(cell => cell.occupiedTicks),
+            blockedTicks: this.aircraft.grid.map(cell => cell.blockedTicks),
+        };
+    }
+
+    /**
+     * Line the passengers up at their doors in the order the boarding method wants them
+     * @param{Array} passengers The passengers, one for each seat
+     * @param{Object} options The parameters of the run (see the constructor)
+     */
+    setUpBoarding(passengers, options) {
+        // Rearrange the passengers according to the boarding method; note that
+        // passengers board from the end of the queue
+        this.method = options.method === undefined ? 'btf' : options.method;
+        let arrange = this.method;
+        let name = arrange.name || 'custom';
+        let params = {};
+        if (typeof arrange !== 'function') {
+            let strategy = BOARDING_STRATEGIES[this.method];
+            if (strategy === undefined) {
+                console.error('Unknown boarding method: ' + this.method + '; using BTF');
+                strategy = BOARDING_STRATEGIES.btf;
+            }
+            const strategyParams = options.strategyParams === undefined ? undefined : options.strategyParams[strategy.id];
+            params = readParams(strategy.params, strategyParams, `${strategy.name} boarding`);
+            arrange = strategy.arrange;
+            name = strategy.name;
+        }
+        // Whatever order the method comes up with, parties stick together
+        let pendingPax = keepPartiesTogether(runArrangement(arrange, name, passengers, this.aircraft, this.rng, params));
+        if (options.compliance !== undefined) {
+            // Not everybody boards when they're supposed to, and the seats of anybody
+            // who doesn't turn up stay empty
+            const perturbed = applyCompliance(pendingPax, options.compliance, this.rng);
+            pendingPax = perturbed.queue;
+            this.noShows = perturbed.noShows.length;
+            this.passengerCount -= this.noShows;
+        }
+        if (options.bagPolicy !== undefined) {
+            // The policy sees passengers in the order they board
+            this.bagsChecked = options.bagPolicy(pendingPax.slice().reverse(), this.rng, this.aircraft);
+        }
+
+        // Send everybody to their door's queue, in the same order as the overall
+        // queue (so again passengers board from the end of each one)
+        for (const p of pendingPax) {
+            this.queues[this.aircraft.doors.indexOf(p.door)].push(p);
+        }
+    }
+
+    /**
+     * Sit every passenger down in their seat and work out the order they get up in
+     * @param{Array} passengers The passengers, one for each seat
+     * @param{Object} options The parameters of the run (see the constructor)
+     */
+    setUpDeplaning(passengers, options) {
+        this.deplaningPolicy = options.deplaningPolicy === undefined ? 'courtesy' : options.deplaningPolicy;
+        const policy = DEPLANING_POLICIES[this.deplaningPolicy];
+        if (policy === undefined) {
+            throw 'Unknown deplaning policy: ' + this.deplaningPolicy;
+        }
+        const connectionShare = options.connectionShare === undefined ? 0.15 : options.connectionShare;
+        for (const p of passengers) {
+            p.tightConnection = this.rng() < connectionShare;
+            p.initializeAt(p.targetSeat, State.Seated);
+            // Everybody's bags are in the bin above their row, even if it's overflowing
+            p.targetSeat.aisle.cell.binLoad += p.bags;
+        }
+        this.method = null;
+        this.activePax = passengers.slice();
+
+        // Group the passengers at each door by priority; like the boarding queues these
+        // are in reverse order, so the next group to stand up is at the end
+        this.exitGroups = this.aircraft.doors.map(door => {
+            const groups = new Map();
+            for (const p of passengers.filter(p => p.door === door)) {
+                const priority = policy.priority(p, door);
+                if (!groups.has(priority)) {
+                    groups.set(priority, []);
+                }
+                groups.get(priority).push(p);
+            }
+            return [...groups.keys()].sort((a, b) => b - a).map(priority => groups.get(priority));
+        });
+        this.standingGroups = this.aircraft.doors.map(() => []);
+    }
+
+    /**
+     * Check whether every passenger has made it to their seat (or off the aircraft when deplaning)
+     * @return{Boolean} true if nobody is waiting to board or still looking for their seat
+     */
+    get finished() {
+        if (this.mode === 'deplane') {
+            return this.activePax.every(p => p.state === State.Deplaned);
+        }
+        return this.pendingCount === 0 && this.activePax.every(p => p.state === State.Seated);
+    }
+
+    /**
+     * Count where everybody is right now, for keeping an eye on how the run is going
+     * @return{Object} The number of passengers who are seated, standing in the aisle
+     * (including the ones dealing with their bags), stowing or getting down bags,
+     * still waiting to board, and off the aircraft
+     */
+    progress() {
+        const counts = {
+            seated: 0,
+            inAisle: 0,
+            stowing: 0,
+            waiting: this.pendingCount,
+            deplaned: 0,
+        };
+        for (const p of this.activePax) {
+            if (p.state === State.Seated) {
+                counts.seated++;
+            } else if (p.state === State.Deplaned) {
+                counts.deplaned++;
+            } else if (!(p.cell instanceof Seat)) {
+                counts.inAisle++;
+                if (p.isStowing() || p.state === State.Retrieving) {
+                    counts.stowing++;
+                }
+            }
+        }
+        return counts;
+    }
+
+    /**
+     * Count the passengers who are still waiting to board
+     * @return{Number} The number of passengers in all of the door queues
+     */
+    get pendingCount() {
+        return this.queues.reduce((count, queue) => count + queue.length, 0);
+    }
+
+    /**
+     * Advance the simulation by one tick
+     * @return{Boolean} true if the simulation advanced and false if everybody was already seated
+     */
+    step() {
+        // Remember where everybody was so we can log what changed
+        const before = this.recordEvents ? new Map(this.activePax.map(p => [p, [p.cell, p.state]])) : null;
+        if (this.mode === 'deplane') {
+            // Once everybody in the last group to get up is out of their seat, it's the next group's turn
+            this.exitGroups.forEach((groups, i) => {
+                if (groups.length > 0 && this.standingGroups[i].every(p => !(p.cell instanceof Seat))) {
+                    this.standingGroups[i] = groups.pop();
+                    for (const p of this.standingGroups[i]) {
+                        if (p.state === State.Seated) {
+                            p.standUp();
+                        }
+                    }
+                }
+            });
+        }
+        // Add any available passengers to the simulation if there's free
+        // space at the end of the queue at each door
+        this.aircraft.doors.forEach((door, i) => {
+            const queue = this.queues[i];
+            if (queue.length > 0 && door.isEmpty()) {
+                const nextPax = queue.pop();
+                this.aircraft.board(nextPax, door);
+                this.activePax.push(nextPax);
+                this.logEvent(nextPax, 'boarded');
+            }
+        });
+        // If everybody is seated then we're done!
+        if (this.finished) {
+            return false;
+        }
+        for (const p of this.activePax) {
+            p.simulate(this.tickLength);
+        }
+        this.iteration++;
+        for (const cell of this.aircraft.grid) {
+            if (!cell.isEmpty()) {
+                cell.occupiedTicks++;
+            }
+        }
+        if (before !== null) {
+            for (const p of this.activePax) {
+                if (!before.has(p)) {
+                    // They only just boarded
+                    continue;
+                }
+                const [cell, state] = before.get(p);
+                if (p.cell !== cell && p.cell !== null) {
+                    this.logEvent(p, 'move');
+                }
+                if (p.state !== state) {
+                    this.logEvent(p, stateEvent(state, p.state));
+                }
+            }
+        }
+        if (this.frames !== null) {
+            this.takeSnapshot();
+        }
+        return true;
+    }
+
+    /**
+     * Add an event to the log, if we're keeping one; each event says when it happened
+     * (in ticks and milliseconds), which passenger it happened to (by seat), what
+     * happened ('boarded', 'move', 'stowing', 'seated', 'stood_up', 'retrieving',
+     * 'deplaned' or 'state' for any other change of state), the passenger's state
+     * afterwards, and the grid cell they're in (null once they're off the aircraft)
+     * @param{Passenger} passenger The passenger the event happened to
+     * @param{String} type What happened
+     */
+    logEvent(passenger, type) {
+        if (!this.recordEvents) {
+            return;
+        }
+        const cell = passenger.cell;
+        this.events.push({
+            iteration: this.iteration,
+            time: this.iteration * this.tickLength,
+            passenger: passenger.targetSeat.toString(),
+            type: type,
+            state: passenger.state,
+            x: cell === null ? null : Math.round(cell.x / CELLSIZE),
+            y: cell === null ? null : Math.round(cell.y / CELLSIZE),
+        });
+    }
+
+    /**
+     * Sum up what happened to each passenger in the run: who they are, when they first
+     * boarded, started stowing and sat down (or stood up, got their bags and got off
+     * when deplaning) in milliseconds from the start, which are null if we're not
+     * keeping an event log or it hasn't happened yet, and how long they spent stuck
+     * behind somebody (and behind somebody stowing bags) or lost to full bins
+     * @return{Array} One row for each passenger
+     */
+    passengerLog() {
+        const milestones = this.mode === 'deplane' ? ['stood_up', 'retrieving', 'deplaned'] : ['boarded', 'stowing', 'seated'];
+        const times = new Map();
+        for (const e of this.events) {
+            if (milestones.includes(e.type)) {
+                const key = e.passenger + ' ' + e.type;
+                if (!times.has(key)) {
+                    times.set(key, e.time);
+                }
+            }
+        }
+        const passengers = this.activePax.concat(...this.queues);
+        return passengers.map(p => {
+            const row = {
+                passenger: p.targetSeat.toString(),
+                profile: p.profile,
+                bags: p.bags,
+                checkedBags: p.checkedBags,
+                party: p.party,
+                door: this.aircraft.doors.indexOf(p.door),
+                tightConnection: p.tightConnection,
+                state: p.state,
+            };
+            for (const m of milestones) {
+                const time = times.get(row.passenger + ' ' + m);
+                row[m] = time === undefined ? null : time;
+            }
+            row.blockedTime = p.blockedTicks * this.tickLength;
+            row.stowWaitTime = p.stowWaitTicks * this.tickLength;
+            row.binDelay = p.binDelay;
+            return row;
+        });
+    }
+
+    /**
+     * Run the simulation until everybody is seated or we hit the iteration limit
+     * @return{Object} The result of the run (see result())
+     */
+    run() {
+        while (this.iteration < this.maxIterations && this.step()) {
+            // Keep going
+        }
+        return this.result();
+    }
+
+    /**
+     * Summarize the state of the simulation
+     * @return{Object} The number of passengers, the number of iterations run, the
+     * simulated time in milliseconds (see formatClock), and whether or not everybody was seated
+     */
+    result() {
+        return {
+            method: typeof this.method === 'function' ? this.method.name : this.method,
+            mode: this.mode,
+            deplaningPolicy: this.mode === 'deplane' ? this.deplaningPolicy : null,
+            seed: this.seed,
+            seats: this.aircraft.seats.length,
+            passengers: this.passengerCount,
+            noShows: this.noShows,
+            parties: this.parties,
+            doorRule: this.doorRule,
+            binDelay: this.activePax.reduce((total, p) => total + p.binDelay, 0),
+            binSearches: this.activePax.filter(p => p.binCell !== null).length,
+            blockedTime: this.activePax.reduce((total, p) => total + p.blockedTicks, 0) * this.tickLength,
+            stowWaitTime: this.activePax.reduce((total, p) => total + p.stowWaitTicks, 0) * this.tickLength,
+            bagsChecked: this.bagsChecked,
+            iterations: this.iteration,
+            time: this.iteration * this.tickLength,
+            completed: this.finished,
+        };
+    }
+}
+
+/**
+ * Format an amount of simulated time as a clock reading
+ * @param{Number} ms The time in milliseconds
+ * @return{String} The time as mm:ss, or h:mm:ss if it's an hour or more, rounded to
+ * the nearest second and with a minus sign if it's negative; or a dash if there's no
+ * time to show (e.g. the mean of a batch where no runs finished)
+ */
+function formatClock(ms) {
+    if (!isFinite(ms)) {
+        return '\u2014';
+    }
+    const sign = ms < 0 ? '-' : '';
+    const total = Math.round(Math.abs(ms) / 1000);
+    const hours = Math.floor(total / 3600);
+    const minutes = Math.floor(total / 60) % 60;
+    const seconds = String(total % 60).padStart(2, '0');
+    if (hours > 0) {
+        return `${sign}${hours}:${String(minutes).padStart(2, '0')}:${seconds}`;
+    }
+    return `${sign}${String(minutes).padStart(2, '0')}:${seconds}`;
+}
+
+/**
+ * Turn a list of objects into CSV text, with one row per object and one column for
+ * each key of the first object (missing and null values are left empty)
+ * @param{Array} rows The objects to write out
+ * @return{String} The CSV text, with a header row
+ */
+function formatCsv(rows) {
+    if (rows.length === 0) {
+        return '';
+    }
+    const columns = Object.keys(rows[0]);
+    const quote = value => {
+        if (value === null || value === undefined) {
+            return '';
+        }
+        const text = String(value);
+        return /[",\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+    };
+    const lines = [columns.join(',')];
+    for (const row of rows) {
+        lines.push(columns.map(c => quote(row[c])).join(','));
+    }
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * The version of the recording format (see Simulation.recording)
+ */
+const RECORDING_VERSION = 1;
+
+/**
+ * Plays back a recorded simulation one frame at a time on an aircraft of its own,
+ * which can be rendered just like the aircraft in a live simulation
+ */
+class Replay {
+    /**
+     * @param{Object} recording A recording of a simulation (see Simulation.recording)
+     */
+    constructor(recording) {
+        if (recording === null || typeof recording !== 'object' || recording.version !== RECORDING_VERSION) {
+            throw 'This isn\'t a recording of a simulation this version of jsBoard can replay';
+        }
+        if (!Array.isArray(recording.frames) || recording.frames.length === 0) {
+            throw 'The recording doesn\'t have any frames';
+        }
+        const problems = validateSeatLayout(recording.seatLayout);
+        if (problems.length > 0) {
+            throw 'The seat layout in the recording isn\'t valid: ' + problems.join('; ');
+        }
+        this.recording = recording;
+        this.aircraft = generateAircraft(recording.seatLayout);
+        this.passengers = recording.passengers.map(p => {
+            if (this.aircraft.findSeat(p.seat) === null) {
+                throw `The recording has a passenger in seat ${p.seat}, which isn't on the aircraft`;
+            }
+            const passenger = new Renderable(p.color);
+            passenger.stowWaitTicks = p.stowWaitTicks === undefined ? 0 : p.stowWaitTicks;
+            return passenger;
+        });
+        // The heatmap shows the congestion over the whole run whichever frame we're on
+        this.aircraft.grid.forEach((cell, i) => {
+            cell.occupiedTicks = recording.occupiedTicks === undefined ? 0 : recording.occupiedTicks[i];
+            cell.blockedTicks = recording.blockedTicks === undefined ? 0 : recording.blockedTicks[i];
+        });
+        this.binCells = recording.binCells.map(i => this.aircraft.grid[i]);
+        for (const frame of recording.frames) {
+            if (frame.positions.length !== this.passengers.length || frame.positions.some(i => i >= this.aircraft.grid.length)) {
+                throw 'The recording has a frame that doesn\'t match its aircraft and passengers';
+            }
+        }
+        this.frame = -1;
+        this.seek(0);
+    }
+
+    /**
+     * Count the frames in the recording
+     * @return{Number} The number of frames, one per tick plus the starting position
+     */
+    get frameCount() {
+        return this.recording.frames.length;
+    }
+
+    /**
+     * Put everybody where they were at the given frame of the recording
+     * @param{Number} frame The frame to show (it's kept inside the recording)
+     */
+    seek(frame) {
+        this.frame = Math.max(0, Math.min(Math.round(frame), this.frameCount - 1));
+        const snapshot = this.recording.frames[this.frame];
+        for (const cell of this.aircraft.grid) {
+            cell.contents.clear();
+        }
+        snapshot.positions.forEach((i, p) => {
+            if (i >= 0) {
+                this.aircraft.grid[i].contents.add(this.passengers[p]);
+            }
+        });
+        snapshot.bins.forEach((load, i) => {
+            this.binCells[i].binLoad = load;
+        });
+    }
+
+    /**
+     * Move to the next frame, if there is one
+     * @return{Boolean} true if we moved and false if we're already at the end
+     */
+    step() {
+        if (this.frame >= this.frameCount - 1) {
+            return false;
+        }
+        this.seek(this.frame + 1);
+        return true;
+    }
+
+    /**
+     * Move to the previous frame, if there is one
+     * @return{Boolean} true if we moved and false if we're already at the start
+     */
+    stepBack() {
+        if (this.frame <= 0) {
+            return false;
+        }
+        this.seek(this.frame - 1);
+        return true;
+    }
+}
+
+/**
+ * Board an aircraft from start to finish without rendering anything
+ * @param{Object} options The parameters of the run (see Simulation)
+ * @return{Object} The result of the run
+ */
+function simulateBoarding(options) {
+    return new Simulation(options).run();
+}
+
+/**
+ * Find the value below which the given percentage of a sorted list of numbers falls,
+ * interpolating between neighbouring values when it lands between two of them
+ * @param{Array} sorted A list of numbers sorted in ascending order
+ * @param{Number} p The percentile we want (0-100)
+ * @return{Number} The requested percentile
+ */
+function percentile(sorted, p) {
+    if (sorted.length === 0) {
+        return NaN;
+    }
+    const index = (sorted.length - 1) * p / 100;
+    const lower = Math.floor(index);
+    const upper = Math.ceil(index);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (index - lower);
+}
+
+/**
+ * Compute some descriptive statistics for a list of numbers
+ * @param{Array} values The numbers to summarize
+ * @return{Object} The count, mean, median, (sample) standard deviation, min, max, and
+ * 5th, 25th, 75th and 95th percentiles of the values
+ */
+function summarize(values) {
+    const sorted = values.slice().sort((a, b) => a - b);
+    const count = sorted.length;
+    const mean = sorted.reduce((sum, v) => sum + v, 0) / count;
+    const variance = count > 1 ? sorted.reduce((sum, v) => sum + (v - mean) * (v - mean), 0) / (count - 1) : 0;
+    return {
+        count: count,
+        mean: mean,
+        median: percentile(sorted, 50),
+        stddev: Math.sqrt(variance),
+        min: sorted[0],
+        max: sorted[count - 1],
+        percentiles: {
+            5: percentile(sorted, 5),
+            25: percentile(sorted, 25),
+            75: percentile(sorted, 75),
+            95: percentile(sorted, 95),
+        },
+    };
+}
+
+/**
+ * Run the same boarding simulation over and over and summarize how long it took
+ *
+ * Each run gets its own seed, but the seeds are all drawn from the seed in the
+ * options so the whole batch can be reproduced.
+ * @param{Object} options The parameters of each run (see Simulation)
+ * @param{Number} runs The number of times to run the simulation
+ * @return{Object} The seed of the batch, the individual results of each run, a
+ * statistical summary of the number of iterations it took to board everybody and
+ * another of the simulated time that took (in milliseconds), the number of runs that hit the iteration limit before everybody was seated, and
+ * summaries of the time each passenger lost to full overhead bins (in milliseconds),
+ * of the number of passengers who had to look for bin space and of the number of
+ * bags checked in each run
+ */
+function runBatch(options, runs) {
+    if (!Number.isInteger(runs) || runs < 1) {
+        throw 'A batch needs a whole number of runs of at least 1';
+    }
+    const seed = options.seed === undefined ? randomSeed() : options.seed;
+    const seeds = createRng(seed);
+    const results = [];
+    for (let i = 0; i < runs; i++) {
+        results.push(simulateBoarding(Object.assign({}, options, {seed: randomSeed(seeds)})));
+    }
+    const completed = results.filter(r => r.completed);
+    return {
+        seed: seed,
+        results: results,
+        summary: summarize(completed.map(r => r.iterations)),
+        time: summarize(completed.map(r => r.time)),
+        incomplete: results.length - completed.length,
+        // Nobody loses any time to the bins on a flight with nobody on it
+        binDelay: summarize(completed.map(r => r.passengers > 0 ? r.binDelay / r.passengers : 0)),
+        binSearches: summarize(completed.map(r => r.binSearches)),
+        bagsChecked: summarize(completed.map(r => r.bagsChecked)),
+    };
+}
+
+/**
+ * Work out how many times faster one batch of runs was than another, on average
+ * @param{Object} baseline The summary of the batch to compare against (see summarize)
+ * @param{Object} summary The summary of the batch to compare
+ * @return{Number|null} The speedup, or null if there's nothing to compare because one
+ * of the batches has no completed runs (or took no time at all)
+ */
+function speedup(baseline, summary) {
+    if (baseline.count === 0 || summary.count === 0 || !(summary.mean > 0)) {
+        return null;
+    }
+    return baseline.mean / summary.mean;
+}
+
+/**
+ * Run a batch of simulations for every boarding strategy we know about on the same aircraft
+ *
+ * Every method's batch starts from the same seed, so they all see the same passengers.
+ * @param{Object} options The parameters of each run (see Simulation); the method is ignored
+ * @param{Number} runs The number of times to run each method
+ * @param{Object} extraMethods Any other arrange functions to compare, keyed by name (optional)
+ * @return{Object} The seed of the comparison and a list of methods, each with the
+ * method name, the batch summaries of iterations and time, the number of incomplete runs, the mean bin delay
+ * per passenger, bin searches and bags checked per run, the result of each run (see
+ * runBatch), and the speedup of its mean boarding time relative to back-to-front boarding
+ * (null if either of them has no completed runs)
+ */
+function compareMethods(options, runs, extraMethods) {
+    const seed = options.seed === undefined ? randomSeed() : options.seed;
+    // Strategies are run by id so that they get their parameters from the options
+    const arrangements = {};
+    for (const id of Object.keys(BOARDING_STRATEGIES)) {
+        arrangements[id] = id;
+    }
+    Object.assign(arrangements, extraMethods);
+    const methods = [];
+    for (const method of Object.keys(arrangements)) {
+        const batch = runBatch(Object.assign({}, options, {method: arrangements[method], seed: seed}), runs);
+        methods.push({
+            method: method,
+            summary: batch.summary,
+            time: batch.time,
+            incomplete: batch.incomplete,
+            meanBinDelay: batch.binDelay.mean,
+            meanBinSearches: batch.binSearches.mean,
+            meanBagsChecked: batch.bagsChecked.mean,
+            results: batch.results,
+        });
+    }
+    const baseline = methods.find(c => c.method === 'btf');
+    for (const c of methods) {
+        c.speedup = speedup(baseline.summary, c.summary);
+    }
+    return {
+        seed: seed,
+        methods: methods,
+    };
+}
+
+/**
+ * Run a batch of deplaning simulations for every deplaning policy we know about on the same aircraft
+ *
+ * Every policy's batch starts from the same seed, so they all see the same passengers.
+ * @param{Object} options The parameters of each run (see Simulation); the mode and policy are ignored
+ * @param{Number} runs The number of times to run each policy
+ * @return{Object} The seed of the comparison and a list of policies, each with the
+ * policy name, the batch summaries of iterations and time, the number of incomplete runs, the mean bin delay
+ * per passenger, bin searches and bags checked per run, the result of each run (see
+ * runBatch), and the speedup of its mean deplaning time relative to row by row deplaning
+ * (null if either of them has no completed runs)
+ */
+function compareDeplaningPolicies(options, runs) {
+    const seed = options.seed === undefined ? randomSeed() : options.seed;
+    const policies = [];
+    for (const policy of Object.keys(DEPLANING_POLICIES)) {
+        const batch = runBatch(Object.assign({}, options, {mode: 'deplane', deplaningPolicy: policy, seed: seed}), runs);
+        policies.push({
+            policy: policy,
+            summary: batch.summary,
+            time: batch.time,
+            incomplete: batch.incomplete,
+            meanBinDelay: batch.binDelay.mean,
+            meanBinSearches: batch.binSearches.mean,
+            meanBagsChecked: batch.bagsChecked.mean,
+            results: batch.results,
+        });
+    }
+    const baseline = policies.find(c => c.policy === 'courtesy');
+    for (const c of policies) {
+        c.speedup = speedup(baseline.summary, c.summary);
+    }
+    return {
+        seed: seed,
+        policies: policies,
+    };
+}
+
+// Make the engine available to Node; in the browser everything above is already global
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        CELLSIZE,
+        SEAT_SHUFFLE_TIME,
+        BAG_RETRIEVAL_FACTOR,
+        BIN_CROWDING_FACTOR,
+        DEFAULT_SECONDS_PER_TICK,
+        DEFAULT_CELL_LENGTH,
+        DEFAULT_WALKING_SPEED,
+        DEFAULT_BAG_WEIGHTS,
+        PASSENGER_PROFILES,
+        PARTY_SIZE_WEIGHTS,
+        SEAT_LAYOUT_PRESETS,
+        State,
+        Cell,
+        Seat,
+        Door,
+        Agent,
+        Passenger,
+        Aircraft,
+        HEATMAP_MEASURES,
+        generateAircraft,
+        LAYOUT_CELL_TYPES,
+        expandSeatLayout,
+        compressSeatLayout,
+        validateRowSpecs,
+        validateSeatLayout,
+        createRng,
+        randomSeed,
+        randomRgbaSkinColor,
+        shuffleArray,
+        weightedChoice,
+        randomNormal,
+        LUGGAGE_DISTRIBUTIONS,
+        createLuggageDistribution,
+        readParams,
+        BAG_POLICIES,
+        createBagPolicy,
+        arrangeBackFront,
+        arrangeFrontBack,
+        arrangeRandom,
+        arrangeSteffen,
+        arrangeQiang,
+        arrangeSteffenPractical,
+        arrangeWilma,
+        arrangeReversePyramid,
+        arrangeBlocks,
+        arrangeRotatingZones,
+        arrangeKautzka,
+        SEAT_SELECTIONS,
+        chooseOccupiedSeats,
+        assignParties,
+        keepPartiesTogether,
+        applyCompliance,
+        ZONE_ORDERS,
+        parseSeatSpec,
+        validateZoneScheme,
+        createZoneArrangement,
+        DOOR_RULES,
+        DEPLANING_POLICIES,
+        BOARDING_STRATEGIES,
+        validateStrategy,
+        registerStrategy,
+        STATE_EVENTS,
+        stateEvent,
+        Simulation,
+        simulateBoarding,
+        RECORDING_VERSION,
+        Replay,
+        formatClock,
+        formatCsv,
+        percentile,
+        summarize,
+        runBatch,
+        compareMethods,
+        compareDeplaningPolicies,
+    };
+}